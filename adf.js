@@ -0,0 +1,216 @@
+/* =========================
+   ATLASSIAN DOCUMENT FORMAT
+========================= */
+
+/*
+Small builder for Jira ADF bodies:
+
+doc(
+  heading("ACTION: RESTART SERVICE"),
+  table([["Service", "checkout"], ["Severity", "high"]]),
+  codeBlock(JSON.stringify(target, null, 2), "json"),
+  bulletList([[link("Runbook", "https://...")]]),
+  ...markdownToADF(userDescription)
+)
+
+Block builders return one node; falsy children are dropped so optional
+sections can be written inline (`links.length && bulletList(links)`).
+*/
+
+const compact = nodes => nodes.flat().filter(Boolean);
+
+export function doc(...content) {
+  return { type: "doc", version: 1, content: compact(content) };
+}
+
+/* ---------- inline ---------- */
+
+export function text(value, marks = []) {
+  const node = { type: "text", text: String(value) };
+  return marks.length ? { ...node, marks } : node;
+}
+
+export function strong(value) {
+  return text(value, [{ type: "strong" }]);
+}
+
+export function link(value, href) {
+  return text(value, [{ type: "link", attrs: { href } }]);
+}
+
+// Strings become text nodes; "\n" becomes a hard break
+function inline(content) {
+  return compact([].concat(content)).flatMap(item => {
+    if (typeof item !== "string") return [item];
+    return item
+      .split("\n")
+      .flatMap((line, i) => [i > 0 && { type: "hardBreak" }, line && text(line)])
+      .filter(Boolean);
+  });
+}
+
+/* ---------- blocks ---------- */
+
+export function paragraph(...content) {
+  return { type: "paragraph", content: inline(content) };
+}
+
+export function heading(value, level = 2) {
+  return { type: "heading", attrs: { level }, content: inline(value) };
+}
+
+export function codeBlock(code, language) {
+  return {
+    type: "codeBlock",
+    ...(language && { attrs: { language } }),
+    content: code ? [text(code)] : []
+  };
+}
+
+// items: strings, inline node arrays, or block node arrays
+function listItems(items) {
+  return items.map(item => {
+    const blocks = [].concat(item);
+    const isBlock = blocks.every(n => n && typeof n === "object" && n.type !== "text" && n.type !== "hardBreak");
+    return { type: "listItem", content: isBlock ? blocks : [paragraph(...blocks)] };
+  });
+}
+
+export function bulletList(items) {
+  return items.length ? { type: "bulletList", content: listItems(items) } : null;
+}
+
+export function orderedList(items) {
+  return items.length ? { type: "orderedList", content: listItems(items) } : null;
+}
+
+// rows: [[key, value], ...]; rows with an empty value are left out
+export function table(rows) {
+  const cell = (type, content) => ({ type, content: [paragraph(content)] });
+
+  return {
+    type: "table",
+    attrs: { isNumberColumnEnabled: false, layout: "default" },
+    content: rows
+      .filter(([, value]) => value !== undefined && value !== null && value !== "")
+      .map(([key, value]) => ({
+        type: "tableRow",
+        content: [cell("tableHeader", strong(key)), cell("tableCell", String(value))]
+      }))
+  };
+}
+
+/* =========================
+   MARKDOWN → ADF
+========================= */
+
+/*
+Supports what alert descriptions actually use: # headings, paragraphs,
+- / * / 1. lists, ``` fences, > quotes, **bold**, *italic* / _italic_,
+`code`, ~~strike~~ and [text](url). Anything else stays plain text.
+*/
+
+const INLINE_PATTERN =
+  /(\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*|_([^_\s][^_]*)_|`([^`]+)`|~~([^~]+)~~|\[([^\]]+)\]\(([^)\s]+)\))/g;
+
+export function markdownInline(source) {
+  const nodes = [];
+  let last = 0;
+
+  for (const m of source.matchAll(INLINE_PATTERN)) {
+    if (m.index > last) nodes.push(text(source.slice(last, m.index)));
+
+    if (m[2] || m[3]) nodes.push(text(m[2] || m[3], [{ type: "strong" }]));
+    else if (m[4] || m[5]) nodes.push(text(m[4] || m[5], [{ type: "em" }]));
+    else if (m[6]) nodes.push(text(m[6], [{ type: "code" }]));
+    else if (m[7]) nodes.push(text(m[7], [{ type: "strike" }]));
+    else nodes.push(link(m[8], m[9]));
+
+    last = m.index + m[0].length;
+  }
+
+  if (last < source.length) nodes.push(text(source.slice(last)));
+  return nodes;
+}
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const ORDERED = /^\s*\d+[.)]\s+(.*)$/;
+const FENCE = /^```\s*([\w+-]*)\s*$/;
+const QUOTE = /^>\s?(.*)$/;
+
+// Returns block nodes, ready to spread into doc()
+export function markdownToADF(markdown) {
+  const lines = String(markdown ?? "").replace(/\r\n/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  const paragraphFrom = textLines => ({
+    type: "paragraph",
+    content: textLines.flatMap((line, n) => [
+      ...(n > 0 ? [{ type: "hardBreak" }] : []),
+      ...markdownInline(line)
+    ])
+  });
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      i++; // closing fence
+      blocks.push(codeBlock(code.join("\n"), fence[1] || undefined));
+      continue;
+    }
+
+    const head = line.match(HEADING);
+    if (head) {
+      blocks.push({ type: "heading", attrs: { level: head[1].length }, content: markdownInline(head[2]) });
+      i++;
+      continue;
+    }
+
+    const list = BULLET.test(line) ? [BULLET, "bulletList"] : ORDERED.test(line) ? [ORDERED, "orderedList"] : null;
+    if (list) {
+      const [pattern, type] = list;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        items.push({ type: "listItem", content: [paragraphFrom([lines[i++].match(pattern)[1]])] });
+      }
+      blocks.push({ type, content: items });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].match(QUOTE)[1]);
+      blocks.push({ type: "blockquote", content: markdownToADF(quoted.join("\n")) });
+      continue;
+    }
+
+    // Paragraph: consecutive lines up to a blank line or another block
+    const textLines = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !FENCE.test(lines[i]) &&
+      !HEADING.test(lines[i]) &&
+      !BULLET.test(lines[i]) &&
+      !ORDERED.test(lines[i]) &&
+      !QUOTE.test(lines[i])
+    ) {
+      textLines.push(lines[i++]);
+    }
+    blocks.push(paragraphFrom(textLines));
+  }
+
+  return blocks;
+}
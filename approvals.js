@@ -0,0 +1,190 @@
+import { createJsonStore } from "./store.js";
+import { executeServiceAction, executorConfigured } from "./executor.js";
+import { addJiraComment, resolveJiraTicket } from "./jira.js";
+import { recordAudit } from "./audit.js";
+import { log, correlationId } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Pending approvals (keyed by Jira issue key)
+// ------------------------------------------------------------------
+
+/*
+Record:
+{
+  jira_key: "OPS-123",
+  action: "restart",
+  target: { service: "checkout" },
+  severity: "high",
+  issue: "...",
+  created_at: "2024-..."
+}
+*/
+
+const pendingActions = createJsonStore("pending-actions");
+
+const APPROVED_STATUSES = statusList(process.env.JIRA_APPROVED_STATUSES || "Approved");
+const REJECTED_STATUSES = statusList(
+  process.env.JIRA_REJECTED_STATUSES || "Rejected,Declined,Cancelled,Canceled"
+);
+
+// Actions that skip Jira and run straight away, e.g. "restart,scale"
+const AUTO_APPROVE_ACTIONS = statusList(process.env.AUTO_APPROVE_ACTIONS || "");
+
+export function isAutoApproved(action) {
+  return AUTO_APPROVE_ACTIONS.includes(action);
+}
+
+function statusList(value) {
+  return value.split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+export function trackPendingAction(jiraKey, { action, target, severity, issue }) {
+  pendingActions.set(jiraKey, {
+    jira_key: jiraKey,
+    action,
+    target,
+    severity,
+    issue,
+    request_id: correlationId(),
+    created_at: new Date().toISOString()
+  });
+}
+
+export function getPendingAction(jiraKey) {
+  return pendingActions.get(jiraKey);
+}
+
+// Maps a Jira status name to "approved" / "rejected" / null (no decision)
+export function decisionFromStatus(status) {
+  const name = String(status || "").toLowerCase();
+  if (APPROVED_STATUSES.includes(name)) return "approved";
+  if (REJECTED_STATUSES.includes(name)) return "rejected";
+  return null;
+}
+
+function auditDecision(pending, outcome, decidedBy, details) {
+  recordAudit({
+    source: "jira",
+    caller: decidedBy,
+    raw_action: pending.action,
+    action: pending.action,
+    severity: pending.severity ?? null,
+    target: pending.target,
+    issue: pending.issue ?? null,
+    outcome,
+    rule_ids: [],
+    jira_keys: [pending.jira_key],
+    details
+  });
+}
+
+async function commentSafely(jiraKey, text) {
+  try {
+    await addJiraComment(jiraKey, text);
+  } catch (e) {
+    log.error("Jira comment failed", { jira_ticket: jiraKey, error: e });
+  }
+}
+
+async function resolveSafely(jiraKey, text) {
+  try {
+    await resolveJiraTicket(jiraKey, text);
+  } catch (e) {
+    log.error("Resolving Jira ticket failed", { jira_ticket: jiraKey, error: e });
+  }
+}
+
+// Runs the stored action. The record is removed first so a redelivered
+// webhook can never execute the same action twice. With no executor
+// configured the record is kept, so the action can be approved again
+// once one is.
+export async function approvePendingAction(jiraKey, decidedBy = "unknown") {
+  const pending = pendingActions.get(jiraKey);
+  if (!pending) return null;
+
+  if (!executorConfigured()) {
+    log.warn("Approved action kept pending: no executor configured", {
+      jira_ticket: jiraKey,
+      action: pending.action,
+      decided_by: decidedBy
+    });
+
+    await commentSafely(
+      jiraKey,
+      `ThreatPilot can't execute ${pending.action.toUpperCase()} yet (approved by ${decidedBy}): no Kubernetes API is configured (K8S_API_URL / K8S_TOKEN). The action stays pending – approve it again once the executor is set up.`
+    );
+
+    return {
+      status: "not_configured",
+      action: pending.action,
+      target: pending.target,
+      details: "No executor configured"
+    };
+  }
+
+  pendingActions.delete(jiraKey);
+  log.info("Pending action approved", {
+    jira_ticket: jiraKey,
+    action: pending.action,
+    decided_by: decidedBy,
+    alert_request_id: pending.request_id
+  });
+
+  try {
+    const result = await executeServiceAction(pending.action, pending.target);
+
+    await resolveSafely(
+      jiraKey,
+      `ThreatPilot executed ${pending.action.toUpperCase()} (approved by ${decidedBy}).
+
+Result: ${JSON.stringify(result, null, 2)}`
+    );
+
+    auditDecision(pending, "success", decidedBy, result);
+
+    return { status: "success", action: pending.action, target: pending.target, result };
+  } catch (e) {
+    const details = e.response?.data || e.message;
+    log.error("Approved action failed", { jira_ticket: jiraKey, action: pending.action, error: e });
+
+    await commentSafely(
+      jiraKey,
+      `ThreatPilot failed to execute ${pending.action.toUpperCase()} (approved by ${decidedBy}).
+
+Error: ${typeof details === "string" ? details : JSON.stringify(details)}`
+    );
+
+    auditDecision(pending, "error", decidedBy, details);
+
+    return { status: "error", action: pending.action, target: pending.target, details };
+  }
+}
+
+// reason ends up in the Jira comment ("ticket moved to ..." by default)
+export async function closePendingAction(
+  jiraKey,
+  status,
+  decidedBy = "unknown",
+  reason = `ticket moved to "${status}" by ${decidedBy}`
+) {
+  const pending = pendingActions.get(jiraKey);
+  if (!pending) return null;
+
+  pendingActions.delete(jiraKey);
+  log.info("Pending action dropped", {
+    jira_ticket: jiraKey,
+    action: pending.action,
+    status,
+    decided_by: decidedBy,
+    alert_request_id: pending.request_id
+  });
+
+  await commentSafely(
+    jiraKey,
+    `ThreatPilot will not execute ${pending.action.toUpperCase()}: ${reason}.`
+  );
+
+  auditDecision(pending, "rejected", decidedBy, status);
+
+  return { status: "closed", action: pending.action, target: pending.target };
+}
@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { DATA_DIR } from "./store.js";
+import { log, correlationId } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Append-only audit trail (NDJSON, one remediation decision per line)
+// ------------------------------------------------------------------
+
+/*
+Entry:
+{
+  id, timestamp, request_id, source: "api" | "jira",
+  caller, raw_action, action, severity, target, issue,
+  outcome: "success" | "skipped" | "pending_approval" | "error" | ...,
+  http_status, rule_ids: [...], jira_keys: [...], replayed, details
+}
+*/
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(DATA_DIR, "audit.ndjson");
+
+export function recordAudit(entry) {
+  const line = JSON.stringify({
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    request_id: correlationId(),
+    ...entry
+  });
+
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_PATH, line + "\n");
+  } catch (e) {
+    log.error("Audit write failed", { error: e, entry: line });
+  }
+}
+
+// Block responses carry one rule per firewall provider
+export function ruleIdsOf(body) {
+  if (Array.isArray(body?.providers)) {
+    return body.providers.filter(p => p.rule_id).map(p => `${p.provider}:${p.rule_id}`);
+  }
+  return body?.rule_id ? [body.rule_id] : [];
+}
+
+// Express middleware: records one entry per request once the handler
+// has responded. normalize(rawAction) maps agent aliases to actions.
+export function auditTrail(normalize) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      const { action: rawAction, severity, target = {}, issue } = req.body || {};
+
+      recordAudit({
+        source: "api",
+        caller: req.caller?.id || null,
+        raw_action: rawAction ?? null,
+        action: normalize(rawAction) ?? null,
+        severity: severity ?? null,
+        target,
+        issue: issue ?? null,
+        outcome: body?.status || (res.statusCode >= 400 ? "error" : "success"),
+        http_status: res.statusCode,
+        rule_ids: ruleIdsOf(body),
+        jira_keys: body?.jira_ticket ? [body.jira_ticket] : [],
+        replayed: res.get("Idempotent-Replayed") === "true",
+        details: body?.error || body?.details || body?.message || null
+      });
+
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+// ------------------------------------------------------------------
+// Query
+// ------------------------------------------------------------------
+
+function matches(entry, filters) {
+  const { ip, service, action, status, caller, requestId, from, to } = filters;
+
+  if (ip && entry.target?.ip !== ip) return false;
+  if (service && entry.target?.service !== service) return false;
+  if (action && entry.action !== action && entry.raw_action !== action) return false;
+  if (status && entry.outcome !== status) return false;
+  if (caller && entry.caller !== caller) return false;
+  if (requestId && entry.request_id !== requestId) return false;
+  if (from && entry.timestamp < new Date(from).toISOString()) return false;
+  if (to && entry.timestamp > new Date(to).toISOString()) return false;
+  return true;
+}
+
+// Returns matching entries oldest → newest, keeping only the newest `limit`
+export async function queryAudit(filters = {}, limit = 1000) {
+  if (!fs.existsSync(AUDIT_LOG_PATH)) return [];
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(AUDIT_LOG_PATH),
+    crlfDelay: Infinity
+  });
+
+  const results = [];
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (!matches(entry, filters)) continue;
+    results.push(entry);
+    if (results.length > limit) results.shift();
+  }
+
+  return results;
+}
+
+// ------------------------------------------------------------------
+// Export formats
+// ------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+  "timestamp", "id", "request_id", "source", "caller", "raw_action", "action", "severity",
+  "outcome", "http_status", "ip", "service", "issue", "rule_ids", "jira_keys",
+  "replayed", "target", "details"
+];
+
+// Agent-supplied text starting with = + - @ (or tab / CR) would run as a
+// formula in a spreadsheet; a leading ' makes it plain text
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const raw = typeof value === "object" ? JSON.stringify(value) : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(entries) {
+  const rows = entries.map(e =>
+    CSV_COLUMNS.map(col => {
+      if (col === "ip") return csvCell(e.target?.ip);
+      if (col === "service") return csvCell(e.target?.service);
+      if (col === "rule_ids" || col === "jira_keys") return csvCell((e[col] || []).join(" "));
+      return csvCell(e[col]);
+    }).join(",")
+  );
+
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+export function toNDJSON(entries) {
+  return entries.map(e => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : "");
+}
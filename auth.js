@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import fs from "fs";
+import { log } from "./logger.js";
+import { safeEqual } from "./util.js";
+
+// ------------------------------------------------------------------
+// Caller authentication (API key or HMAC-signed request)
+// ------------------------------------------------------------------
+
+/*
+API_CREDENTIALS (JSON) or API_CREDENTIALS_FILE (path to JSON):
+[
+  { "id": "detector-agent", "key": "...", "scopes": ["block", "notify"] },
+  { "id": "soc-console", "secret": "...", "scopes": ["*"] }
+]
+
+API key:  `X-API-Key: <key>` or `Authorization: Bearer <key>`
+HMAC:     `X-TP-Key-Id: <id>`
+          `X-TP-Timestamp: <unix seconds>`
+          `X-TP-Signature: sha256=<hex hmac(secret, "<timestamp>.<raw body>")>`
+
+Signed requests older than AUTH_MAX_SKEW_SECONDS are refused, and a
+signature is only accepted once inside that window (replay protection).
+
+Scopes are normalized action names ("block", "unblock", ...) or "*".
+Set AUTH_DISABLED=true to run without authentication (local dev only).
+*/
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+const MAX_SKEW_MS = Number(process.env.AUTH_MAX_SKEW_SECONDS || 300) * 1000;
+
+const CREDENTIALS = loadCredentials();
+
+if (AUTH_DISABLED) {
+  log.warn("AUTH_DISABLED=true – remediation endpoint accepts anonymous requests");
+} else if (CREDENTIALS.length === 0) {
+  log.error("No API credentials configured (API_CREDENTIALS) – all requests will be rejected");
+}
+
+function loadCredentials() {
+  try {
+    const raw = process.env.API_CREDENTIALS_FILE
+      ? fs.readFileSync(process.env.API_CREDENTIALS_FILE, "utf8")
+      : process.env.API_CREDENTIALS;
+    return raw ? JSON.parse(raw) : [];
+  } catch (e) {
+    log.error("Invalid API credentials config", { error: e });
+    return [];
+  }
+}
+
+// signature -> expiry, for replay protection
+const seenSignatures = new Map();
+
+function rememberSignature(signature) {
+  const now = Date.now();
+  for (const [sig, expires] of seenSignatures) {
+    if (expires <= now) seenSignatures.delete(sig);
+  }
+  if (seenSignatures.has(signature)) return false;
+  seenSignatures.set(signature, now + MAX_SKEW_MS);
+  return true;
+}
+
+function fromApiKey(req) {
+  const bearer = req.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const key = req.get("X-API-Key") || bearer;
+  if (!key) return null;
+
+  const credential = CREDENTIALS.find(c => c.key && safeEqual(c.key, key));
+  if (!credential) throw new Error("Invalid API key");
+  return credential;
+}
+
+function fromSignature(req) {
+  const keyId = req.get("X-TP-Key-Id");
+  const timestamp = req.get("X-TP-Timestamp");
+  const signature = req.get("X-TP-Signature");
+  if (!keyId && !signature) return null;
+
+  const credential = CREDENTIALS.find(c => c.id === keyId && c.secret);
+  if (!credential || !timestamp || !signature) throw new Error("Invalid request signature");
+
+  // NaN compares false with everything, so a non-numeric timestamp
+  // would otherwise skip the check
+  const skew = Math.abs(Date.now() - Number(timestamp) * 1000);
+  if (!Number.isFinite(skew) || skew > MAX_SKEW_MS) {
+    throw new Error("Request timestamp outside allowed window");
+  }
+
+  const expected =
+    "sha256=" +
+    crypto
+      .createHmac("sha256", credential.secret)
+      .update(`${timestamp}.${req.rawBody || ""}`)
+      .digest("hex");
+
+  if (!safeEqual(signature, expected)) throw new Error("Invalid request signature");
+  if (!rememberSignature(signature)) throw new Error("Replayed request");
+
+  return credential;
+}
+
+export function authenticate(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.caller = { id: "anonymous", scopes: ["*"] };
+    return next();
+  }
+
+  try {
+    const credential = fromSignature(req) || fromApiKey(req);
+    if (!credential) {
+      return res.status(401).json({ error: "Missing credentials" });
+    }
+
+    req.caller = { id: credential.id, scopes: credential.scopes || [] };
+    next();
+  } catch (e) {
+    log.warn("Rejected request", { reason: e.message });
+    return res.status(401).json({ error: e.message });
+  }
+}
+
+export function isAuthorized(caller, scope) {
+  const scopes = caller?.scopes || [];
+  return scopes.includes("*") || scopes.includes(scope);
+}
+
+// scopeFn(req) returns the scope the request needs (e.g. the normalized action)
+export function requireScope(scopeFn) {
+  return (req, res, next) => {
+    const scope = scopeFn(req);
+    if (!isAuthorized(req.caller, scope)) {
+      return res.status(403).json({
+        status: "forbidden",
+        error: `Caller '${req.caller?.id}' is not allowed to perform '${scope}'`
+      });
+    }
+    next();
+  };
+}
+
+// Same scheme as incoming HMAC requests, for payloads we send out
+// (job callbacks, generic webhooks)
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+  return {
+    "X-TP-Timestamp": String(timestamp),
+    "X-TP-Signature": `sha256=${signature}`
+  };
+}
+
+// HMAC secret of a configured caller, if it has one
+export function callerSecret(callerId) {
+  return CREDENTIALS.find(c => c.id === callerId)?.secret || null;
+}
+
+// Jira labels can't contain spaces
+export function callerLabel(caller) {
+  return `caller-${String(caller?.id || "unknown").replace(/[^A-Za-z0-9_-]/g, "-")}`;
+}
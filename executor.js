@@ -0,0 +1,53 @@
+import {
+  restartWorkload,
+  scaleWorkload,
+  rollbackWorkload,
+  drainNode,
+  drainWorkload,
+  resolveWorkload,
+  k8sConfigured
+} from "./k8s.js";
+
+// ------------------------------------------------------------------
+// Service action executor (Kubernetes)
+// ------------------------------------------------------------------
+
+export const SERVICE_ACTIONS = ["restart", "scale", "rollback", "drain"];
+
+// Without a cluster to talk to, approved actions stay pending
+export function executorConfigured() {
+  return k8sConfigured();
+}
+
+export async function executeServiceAction(action, target = {}) {
+  const { service, replicas, node } = target;
+
+  if (action === "drain" && node) return drainNode(node);
+
+  if (!service) throw new Error("Missing target.service");
+
+  if (action === "restart") return restartWorkload(service);
+  if (action === "scale") return scaleWorkload(service, replicas);
+  if (action === "rollback") return rollbackWorkload(service);
+  if (action === "drain") return drainWorkload(service);
+
+  throw new Error(`Unsupported service action: ${action}`);
+}
+
+// What executeServiceAction would do, without calling the Kubernetes API
+export function describeServiceAction(action, target = {}) {
+  const { service, replicas, node } = target;
+
+  if (action === "drain" && node) {
+    return { action, node, steps: ["cordon", "evict non-DaemonSet pods"] };
+  }
+
+  const workload = resolveWorkload(service);
+
+  if (action === "restart") return { action, workload, steps: ["rollout restart"] };
+  if (action === "scale") return { action, workload, steps: [`scale to ${replicas}`] };
+  if (action === "rollback") return { action, workload, steps: ["roll back to previous ReplicaSet"] };
+  if (action === "drain") return { action, workload, steps: ["scale to 0"] };
+
+  throw new Error(`Unsupported service action: ${action}`);
+}
@@ -0,0 +1,120 @@
+import { log } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Idempotency keys + duplicate-alert suppression
+// ------------------------------------------------------------------
+
+/*
+Two ways a request is recognised as a repeat:
+  - same `Idempotency-Key` header (per caller) → kept for IDEMPOTENCY_KEY_TTL_SECONDS
+  - same (normalized action, target, issue)     → kept for DEDUP_WINDOW_SECONDS
+A repeat gets the original response replayed (with an
+`Idempotent-Replayed: true` header) and never reaches the handler, so no
+Cloudflare / Jira / Slack call is made twice. Only 2xx responses are kept:
+errors can be retried.
+
+A successful request can make other cached results stale: after an
+unblock, replaying an earlier "block" of the same target would report a
+block that no longer exists. Those are dropped (see `stale` below).
+*/
+
+const IDEMPOTENCY_KEY_TTL_MS = Number(process.env.IDEMPOTENCY_KEY_TTL_SECONDS || 86400) * 1000;
+const DEDUP_WINDOW_MS = Number(process.env.DEDUP_WINDOW_SECONDS || 300) * 1000;
+
+const responses = new Map(); // key -> { statusCode, body, expires } | { inFlight: true }
+
+function sweep() {
+  const now = Date.now();
+  for (const [key, entry] of responses) {
+    if (!entry.inFlight && entry.expires <= now) responses.delete(key);
+  }
+}
+
+// JSON.stringify with sorted object keys, so {a,b} and {b,a} match
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Drops the duplicate-alert entries whose parts start with `leading`
+function forgetDuplicates(leading) {
+  const prefix = `dedup:${stableStringify(leading).slice(0, -1)},`;
+  for (const key of responses.keys()) {
+    if (key.startsWith(prefix)) responses.delete(key);
+  }
+}
+
+// dedupParts(req) returns the values that identify a duplicate alert,
+// or null for requests that should never be deduplicated (read-only actions).
+// skip(req) bypasses both checks entirely (e.g. dry runs).
+// stale(req) returns a list of leading dedup parts (e.g. [action, target])
+// whose cached responses are forgotten once req succeeds, or null.
+export function idempotent(dedupParts, { skip = () => false, stale = () => null } = {}) {
+  return (req, res, next) => {
+    if (skip(req)) return next();
+
+    sweep();
+
+    const keys = [];
+    const header = req.get("Idempotency-Key");
+    if (header) {
+      // Scoped per caller so two agents can't collide on the same key
+      keys.push({ key: `key:${req.caller?.id}:${header}`, ttl: IDEMPOTENCY_KEY_TTL_MS });
+    }
+
+    const parts = dedupParts(req);
+    if (parts && DEDUP_WINDOW_MS > 0) {
+      keys.push({ key: `dedup:${stableStringify(parts)}`, ttl: DEDUP_WINDOW_MS });
+    }
+
+    if (keys.length === 0) return next();
+
+    for (const { key } of keys) {
+      const hit = responses.get(key);
+      if (!hit) continue;
+
+      if (hit.inFlight) {
+        return res.status(409).json({
+          status: "in_progress",
+          error: "An identical request is still being processed"
+        });
+      }
+
+      log.info("Replaying response for duplicate request", { match: key.split(":")[0] });
+      res.set("Idempotent-Replayed", "true");
+      return res.status(hit.statusCode).json(hit.body);
+    }
+
+    for (const { key } of keys) responses.set(key, { inFlight: true });
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      const stalePrefixes = res.statusCode >= 200 && res.statusCode < 300 ? stale(req) : null;
+      for (const leading of stalePrefixes || []) forgetDuplicates(leading);
+
+      for (const { key, ttl } of keys) {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          responses.set(key, { statusCode: res.statusCode, body, expires: Date.now() + ttl });
+        } else {
+          responses.delete(key);
+        }
+      }
+      return json(body);
+    };
+
+    // Connection dropped before a response: release the keys
+    res.on("close", () => {
+      for (const { key } of keys) {
+        if (responses.get(key)?.inFlight) responses.delete(key);
+      }
+    });
+
+    next();
+  };
+}
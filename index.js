@@ -152,7 +152,7 @@
 //       if (!service) return res.status(400).json({ error: "Missing target.service" });
 
 //       const jira = await createJiraTicket({
-//         summary: `[ThreatPilot] Scale Service ${service}`,
+//         summary: `[ThreatPilot] Scale Service ${service} to ${target.replicas}`,
 //         description: toADF(description),
 //         priority: priorityFromSeverity(severity),
 //         issueType: "Task",
@@ -264,81 +264,112 @@
  // --------------------------------------------------
 // Action Normalization (Agent → Infra Remediator)
 // --------------------------------------------------
-import fetch from "node-fetch";
 
-// --------------------------------------------------
-// Slack Alert
-// --------------------------------------------------
-async function alertSRESlack(payload) {
-  const webhook = process.env.SLACK_WEBHOOK_URL;
-
-  if (!webhook) {
-    console.error("❌ SLACK_WEBHOOK_URL not configured");
-    return;
-  }
-
-  const response = await fetch(webhook, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      text: `🚨 *ThreatPilot Alert*
-*Action:* ${payload.action}
-*Severity:* ${payload.severity}
-*Issue:* ${payload.issue || "unknown"}
-*Target:* ${JSON.stringify(payload.target, null, 2)}`
-    })
-  });
+// Every accepted "action" value → normalized action (published in /openapi.json)
+const ACTION_ALIASES = {
+  // IP actions
+  block_ip: "block",
+  block: "block",
+  temp_block: "block",
 
-  const text = await response.text();
+  unblock_ip: "unblock",
+  unblock: "unblock",
 
-  if (!response.ok) {
-    console.error("❌ Slack webhook failed:", response.status, text);
-  } else {
-    console.log("✅ Slack alert sent successfully");
-  }
-}
+  // Service actions
+  restart_service: "restart",
+  restart: "restart",
 
+  scale_service: "scale",
+  scale: "scale",
 
-function normalizeAction(action) {
-  const map = {
-    // IP actions
-    block_ip: "block",
-    block: "block",
-    temp_block: "block",
+  rollback_service: "rollback",
+  rollback: "rollback",
 
-    unblock_ip: "unblock",
-    unblock: "unblock",
+  drain_service: "drain",
+  drain: "drain",
 
-    // Service actions
-    restart_service: "restart",
-    restart: "restart",
+  // Others
+  notify_team: "notify",
+  trigger_alert: "notify",
 
-    scale_service: "scale",
-    scale: "scale",
+  list_blocked: "list_blocked"
+};
 
-    rollback_service: "rollback",
-    rollback: "rollback",
-
-    drain_service: "drain",
-    drain: "drain",
-
-    // Others
-    notify_team: "notify",
-    trigger_alert: "notify"
-  };
-
-  return map[action] || action;
+function normalizeAction(action) {
+  return Object.hasOwn(ACTION_ALIASES, action) ? ACTION_ALIASES[action] : action;
 }
 
 
 import express from "express";
-import axios from "axios";
 //change 
-import { createJiraTicket, toADF } from "./jira.js";
+import {
+  createJiraTicket,
+  createOrUpdateJiraTicket,
+  resolveJiraTicket,
+  jiraIssueUrl,
+  verifyJiraWebhook
+} from "./jira.js";
+import {
+  slackApprovalMessage,
+  slackBlockMessage,
+  slackLimitMessage,
+  slackDecisionMessage,
+  postSlackMessage,
+  respondToSlack,
+  verifySlackRequest
+} from "./slack.js";
+import { doc, heading, table, codeBlock, bulletList, link, markdownToADF } from "./adf.js";
 //change
+import { createJsonStore } from "./store.js";
+import {
+  trackPendingAction,
+  getPendingAction,
+  decisionFromStatus,
+  approvePendingAction,
+  closePendingAction,
+  isAutoApproved
+} from "./approvals.js";
+import { executeServiceAction, describeServiceAction } from "./executor.js";
+import { idempotent } from "./idempotency.js";
+import { authenticate, requireScope, isAuthorized, callerLabel } from "./auth.js";
+import { auditTrail, recordAudit, ruleIdsOf, queryAudit, toCSV, toNDJSON } from "./audit.js";
+import { listPlaybooks, loadPlaybook, runPlaybook } from "./playbooks.js";
+import { evaluatePolicy, capBlockMinutes } from "./policy.js";
+import { resolveBlockTarget, BLOCK_TARGET_FIELDS } from "./targets.js";
+import { nextBlockDuration, recordOffense, describeDuration } from "./offenders.js";
+import { notify, planNotification } from "./notifiers/index.js";
+import { backoffMs } from "./outbound.js";
+import { submitJob, getJob, describeJob, startJobWorker, JobError } from "./jobs.js";
+import { ACTION_SCHEMAS, validateRemediation, openApiDocument } from "./schemas.js";
+import { log, correlate, correlationId, withCorrelation } from "./logger.js";
+import { checkIntegrations } from "./readiness.js";
+import { checkLimits, holdAction, updateTrip, getTrip, listHeld, takeHeld, limitStatus } from "./limits.js";
+import {
+  registry,
+  remediations,
+  trackActiveTempBlocks,
+  unblockFailures,
+  jiraTicketsCreated
+} from "./metrics.js";
+import {
+  getProvider,
+  resolveProviders,
+  blockEverywhere,
+  unblockEverywhere,
+  listEverywhere
+} from "./providers/index.js";
 
 const app = express();
-app.use(express.json());
+// Keep the raw bytes around for webhook signature checks
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+
+// Correlation id (X-Request-Id) for every response, parse errors included.
+// Body parsing leaves the async context, so it is entered again after.
+app.use(correlate);
+app.use(express.json({ verify: keepRawBody }));
+// Slack interactions arrive form-encoded (payload=<json>)
+app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+app.use(correlate);
 
 function priorityFromSeverity(severity) {
   if (severity === "critical") return "Highest";
@@ -349,14 +380,14 @@ function priorityFromSeverity(severity) {
 
 
 // ------------------------------------------------------------------
-//  In-Memory Temp Block Store (per-IP timers)
+//  In-Memory Temp Block Store (per-target timers)
 // ------------------------------------------------------------------
 
 /*
 Structure:
 tempBlocks = {
   "203.0.113.42": {
-     rule_id: "...",
+     rules: [{ provider: "cloudflare", rule_id: "..." }],
      timeout: TimeoutObject
   }
 }
@@ -364,38 +395,419 @@ tempBlocks = {
 
 const tempBlocks = {};  // Do NOT replace with a Set/Array. We store timeout references here.
 
+trackActiveTempBlocks(() => Object.keys(tempBlocks).length);
+
+// Keys are the blocked value: an IP, a range ("203.0.113.0/24"), an ASN
+// ("AS13335") or a country code ("CN").
+
+// Durable copy of tempBlocks (without the timers) so pending unblocks
+// survive restarts. Record: { target_type, value, rules, severity, blocked_at,
+// expires_at, jira_keys?, unblock_attempts?, retry_at? }
+const blockStore = createJsonStore("temp-blocks");
+
+// Records written before providers existed hold a single Cloudflare rule_id
+const recordRules = record =>
+  record.rules || [{ provider: "cloudflare", rule_id: record.rule_id }];
+
+// ------------------------------------------------------------------
+// Severity + offense history → block duration (in minutes)
+// low / medium = escalation schedule (see offenders.js)
+// high/critical = permanent (only blocked when block: true)
+// ------------------------------------------------------------------
+
+function isScheduledSeverity(severity) {
+  return severity === "low" || severity === "medium";
+}
+
+// Returns { minutes, offense_count, reason }, minutes 0 = permanent
+function getTempBanMinutes(severity, value) {
+  const next = nextBlockDuration(value);
+  if (isScheduledSeverity(severity)) return next;
+
+  return { ...next, minutes: 0, reason: `Severity ${severity || "unknown"} → permanent` };
+}
+
 // ------------------------------------------------------------------
-// Configuration
+// Temp block expiry (timer + durable record)
 // ------------------------------------------------------------------
 
-const CF_TOKEN = process.env.CLOUDFLARE_API_TOKEN;
-const CF_ZONE = process.env.CLOUDFLARE_ZONE_ID;
+// Failed deletes stay queued in blockStore and are retried with backoff
+// until every provider has dropped the rule
+const UNBLOCK_RETRY_BASE_MS = Number(process.env.UNBLOCK_RETRY_BASE_MS || 30000);
+const UNBLOCK_RETRY_MAX_MS = Number(process.env.UNBLOCK_RETRY_MAX_MS || 3600000);
+
+async function expireTempBlock(value) {
+  const record = blockStore.get(value);
+  const remaining = [];
+
+  for (const rule of record ? recordRules(record) : []) {
+    try {
+      await getProvider(rule.provider).removeRule(rule.rule_id);
+    } catch (e) {
+      log.error("Rule delete failed", { provider: rule.provider, rule_id: rule.rule_id, value, error: e });
+      unblockFailures.inc({ provider: rule.provider });
+      remaining.push(rule);
+    }
+  }
 
-if (!CF_TOKEN || !CF_ZONE) {
-  console.error("❌ Missing required Cloudflare env vars (CLOUDFLARE_API_TOKEN, CLOUDFLARE_ZONE_ID)");
+  delete tempBlocks[value];
+
+  if (remaining.length > 0) {
+    const attempts = (record.unblock_attempts || 0) + 1;
+    const delay = Math.max(
+      backoffMs(attempts, UNBLOCK_RETRY_BASE_MS, UNBLOCK_RETRY_MAX_MS),
+      UNBLOCK_RETRY_BASE_MS
+    );
+    const retryAt = new Date(Date.now() + delay).toISOString();
+
+    log.error("Unblock failed, retry queued", {
+      value,
+      providers: remaining.map(r => r.provider),
+      attempt: attempts,
+      retry_at: retryAt
+    });
+
+    blockStore.set(value, { ...record, rules: remaining, unblock_attempts: attempts, retry_at: retryAt });
+    scheduleUnblock(value, remaining, retryAt);
+  } else {
+    blockStore.delete(value);
+    if (record) await resolveBlockTickets(record);
+  }
 }
 
-// Cloudflare API client
-const CF = axios.create({
-  baseURL: `https://api.cloudflare.com/client/v4/zones/${CF_ZONE}`,
-  headers: {
-    "Content-Type": "application/json",
-    "Authorization": `Bearer ${CF_TOKEN}`
+// Tickets passed as jira_ticket with the block request are closed out
+// once every provider has lifted it
+async function resolveBlockTickets(record) {
+  for (const jiraKey of record.jira_keys || []) {
+    try {
+      await resolveJiraTicket(
+        jiraKey,
+        `Temporary block of ${record.value} expired at ${record.expires_at} and was removed from ${recordRules(record).map(r => r.provider).join(", ")}.`
+      );
+    } catch (e) {
+      log.error("Resolving Jira ticket failed", { jira_ticket: jiraKey, error: e });
+    }
+  }
+}
+
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function scheduleUnblock(value, rules, unblockAt) {
+  // Clear previous timer if exists
+  if (tempBlocks[value]?.timeout) clearTimeout(tempBlocks[value].timeout);
+
+  const delay = Math.max(new Date(unblockAt).getTime() - Date.now(), 0);
+
+  // setTimeout overflows past ~24.8 days, so re-arm in chunks until due
+  if (delay > MAX_TIMER_MS) {
+    const timeout = setTimeout(() => scheduleUnblock(value, rules, unblockAt), MAX_TIMER_MS);
+    tempBlocks[value] = { rules, timeout };
+    return;
+  }
+
+  const timeout = setTimeout(() => {
+    log.info("Unblocking (timer expired)", { value });
+    return expireTempBlock(value);
+  }, delay);
+
+  tempBlocks[value] = { rules, timeout };
+}
+
+// Pushes a pending unblock back by `minutes`, never past the policy's
+// max_block_minutes for the severity counted from when the block started
+// (records from before blocked_at was kept count from now).
+// → { expires_at, extended, capped } or null when `value` has no temporary block
+function extendTempBlock(value, minutes) {
+  const record = blockStore.get(value);
+  if (!record) return null;
+
+  const currentExpiry = new Date(record.expires_at).getTime();
+  const blockedAt = record.blocked_at ? new Date(record.blocked_at).getTime() : Date.now();
+  const from = Math.max(currentExpiry, Date.now());
+
+  const wantedMinutes = Math.ceil((from + minutes * 60000 - blockedAt) / 60000);
+  const allowedMinutes = capBlockMinutes(record.severity, wantedMinutes);
+  const until = Math.min(from + minutes * 60000, blockedAt + allowedMinutes * 60000);
+  const capped = allowedMinutes < wantedMinutes;
+
+  if (until <= currentExpiry) return { expires_at: record.expires_at, extended: false, capped };
+
+  const expiresAt = new Date(until).toISOString();
+  blockStore.set(value, { ...record, expires_at: expiresAt, retry_at: undefined });
+  scheduleUnblock(value, recordRules(record), expiresAt);
+  return { expires_at: expiresAt, extended: true, capped };
+}
+
+// Reload persisted temp blocks after a restart: reschedule the ones still
+// running, remove the ones that expired while we were down.
+async function restoreTempBlocks() {
+  const now = Date.now();
+
+  for (const [value, record] of blockStore.entries()) {
+    // Queued retries of a failed unblock keep their backoff
+    const dueAt = record.retry_at || record.expires_at;
+
+    // Timers and logs carry the id of the request that blocked
+    await withCorrelation(record.request_id, async () => {
+      if (new Date(dueAt).getTime() > now) {
+        log.info("Rescheduling unblock", { value, at: dueAt });
+        scheduleUnblock(value, recordRules(record), dueAt);
+      } else {
+        log.info("Unblocking (expired during downtime)", { value });
+        await expireTempBlock(value);
+      }
+    });
+  }
+}
+
+// ------------------------------------------------------------------
+// Auto-approved service actions (run now, no Jira ticket)
+// ------------------------------------------------------------------
+
+async function runAutoApproved(action, target) {
+  const result = await executeServiceAction(action, target);
+  log.info("Auto-approved action executed", { action, service: target.service, node: target.node });
+
+  return {
+    status: "success",
+    action,
+    service: target.service,
+    auto_approved: true,
+    result
+  };
+}
+
+// ------------------------------------------------------------------
+// Dry-run / plan mode (?dry_run=true or "dry_run": true)
+// Runs the decision logic, returns the outside calls it would make.
+// ------------------------------------------------------------------
+
+function isDryRun(req) {
+  return req.query.dry_run === "true" || req.body?.dry_run === true;
+}
+
+// ------------------------------------------------------------------
+// Approval ticket body (ADF)
+// ------------------------------------------------------------------
+
+// URL templates, e.g. https://grafana.example.com/d/svc?var-service={service}
+// Placeholders: {service}, {node}, {action}, {issue}
+const DASHBOARD_URL_TEMPLATE = process.env.DASHBOARD_URL_TEMPLATE;
+const RUNBOOK_URL_TEMPLATE = process.env.RUNBOOK_URL_TEMPLATE;
+
+function fillUrlTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_, key) => encodeURIComponent(values[key] ?? ""));
+}
+
+function approvalTicketBody(title, action, { target, severity, issue, userDescription }) {
+  const values = { ...target, action, issue };
+
+  let steps = [];
+  try {
+    steps = describeServiceAction(action, target).steps;
+  } catch {
+    // Unknown workload kinds surface when the action runs
   }
-});
+
+  const links = [
+    DASHBOARD_URL_TEMPLATE && [link("Dashboard", fillUrlTemplate(DASHBOARD_URL_TEMPLATE, values))],
+    RUNBOOK_URL_TEMPLATE && [link("Runbook", fillUrlTemplate(RUNBOOK_URL_TEMPLATE, values))]
+  ].filter(Boolean);
+
+  return doc(
+    heading(title),
+    table([
+      ["Service", target.service],
+      ["Node", target.node],
+      ["Severity", severity],
+      ["Issue", issue || "unknown"],
+      ["Replicas", action === "scale" ? target.replicas ?? "not specified" : undefined],
+      ["Request ID", correlationId()]
+    ]),
+    steps.length && heading("On approval", 3),
+    bulletList(steps),
+    links.length && heading("Links", 3),
+    bulletList(links),
+    heading("Target", 3),
+    codeBlock(JSON.stringify(target, null, 2), "json"),
+    userDescription && heading("Details", 3),
+    userDescription && markdownToADF(userDescription)
+  );
+}
+
+// Service (or node) label that identifies "the same target" across tickets
+function targetLabel(target) {
+  const [kind, name] = target.service ? ["service", target.service] : ["node", target.node];
+  return `${kind}-${String(name).replace(/[^A-Za-z0-9_-]/g, "-")}`;
+}
+
+// What makes two approval requests "the same": action and target, plus
+// the replica count for scale – approving a ticket runs the count it
+// was opened for, so another count needs its own ticket.
+function approvalLabels(action, target) {
+  const labels = [targetLabel(target)];
+  if (action === "scale") labels.push(`replicas-${target.replicas}`);
+  return labels;
+}
+
+// Opens the approval ticket, or comments on the open one for the same
+// action + target, and tracks the pending action under its key.
+async function requestApproval(action, target, ticket, { severity, issue, description }) {
+  const result = await createOrUpdateJiraTicket(ticket, {
+    dedupLabels: ["threatpilot", action, ...approvalLabels(action, target)],
+    occurrence: { severity, issue, description }
+  });
+
+  // Approving the existing ticket runs the action it was opened for
+  if (!result.deduplicated || !getPendingAction(result.key)) {
+    trackPendingAction(result.key, { action, target, severity, issue });
+  }
+
+  // A duplicate already has its Approve / Reject message in Slack
+  if (!result.deduplicated) {
+    jiraTicketsCreated.inc({ action, priority: ticket.priority });
+
+    await postSlackMessage(slackApprovalMessage({
+      action,
+      target,
+      severity,
+      issue,
+      jiraKey: result.key,
+      jiraUrl: jiraIssueUrl(result.key)
+    }));
+  }
+
+  return result;
+}
 
 // ------------------------------------------------------------------
-// Severity → Temporary duration (in minutes, for testing)
-// low = 1 min, medium = 2 min
-// high/critical = permanent
+// Blast-radius holds (limits.js): one Jira ticket + Slack message per
+// tripped limit, closed once its held actions are released or discarded
 // ------------------------------------------------------------------
 
-function getTempBanMinutes(severity) {
-  if (severity === "low") return 1;      // 1 minute (for testing)
-  if (severity === "medium") return 2;   // 2 minutes (for testing)
-  return 0; // high / critical → permanent
+async function holdForApproval(breach, { action, caller, targetType, request }) {
+  const { record, first } = holdAction(breach, {
+    action,
+    caller,
+    targetType,
+    request,
+    requestId: correlationId()
+  });
+
+  log.warn("Blast-radius limit exceeded, action held", {
+    limit: breach.limit.name,
+    key: breach.key,
+    action,
+    caller: caller?.id,
+    held_id: record.id
+  });
+
+  if (first) await escalateTrip(breach, { action, caller, targetType });
+
+  const { limit } = breach;
+  return {
+    status: "pending_approval",
+    action,
+    reason: "blast_radius_limit",
+    limit: limit.name,
+    held_id: record.id,
+    jira_ticket: getTrip(breach.key)?.jira_key ?? null,
+    message: `Limit '${limit.name}' (${limit.max} per ${limit.window}) exceeded – held until released via /held-actions`
+  };
+}
+
+async function escalateTrip({ key, limit }, { action, caller, targetType }) {
+  let jiraKey = null;
+
+  try {
+    const priority = "Highest";
+    jiraKey = await createJiraTicket({
+      summary: `[ThreatPilot] Blast-radius limit '${limit.name}' exceeded`,
+      description: doc(
+        heading("BLAST-RADIUS LIMIT EXCEEDED"),
+        table([
+          ["Limit", `${limit.max} per ${limit.window}`],
+          ["Counter", key],
+          ["First held action", action],
+          ["Caller", caller?.id],
+          ["Target type", targetType],
+          ["Request ID", correlationId()]
+        ]),
+        heading("Next steps", 3),
+        bulletList([
+          "Review the held actions: GET /held-actions?key=<counter>",
+          "Run them: POST /held-actions/release { \"key\": \"<counter>\" }",
+          "Drop them: POST /held-actions/discard { \"key\": \"<counter>\" }"
+        ]),
+        heading("Limit", 3),
+        codeBlock(JSON.stringify(limit, null, 2), "json")
+      ),
+      priority,
+      issueType: "Task",
+      labels: ["threatpilot", "blast-radius", callerLabel(caller)]
+    });
+    jiraTicketsCreated.inc({ action: "blast_radius", priority });
+    updateTrip(key, { jira_key: jiraKey });
+  } catch (e) {
+    log.error("Blast-radius Jira escalation failed", { limit: limit.name, error: e });
+  }
+
+  await postSlackMessage(slackLimitMessage({
+    limit,
+    key,
+    action,
+    caller: caller?.id,
+    targetType,
+    jiraKey,
+    jiraUrl: jiraKey && jiraIssueUrl(jiraKey)
+  }));
+}
+
+function planServiceAction(action, target, ticket, autoApproved, { severity, issue } = {}) {
+  return {
+    status: "dry_run",
+    action,
+    service: target.service,
+    plan: autoApproved
+      ? { auto_approved: true, kubernetes: describeServiceAction(action, target) }
+      : {
+          auto_approved: false,
+          jira: ticket,
+          slack: slackApprovalMessage({
+            action,
+            target,
+            severity,
+            issue,
+            jiraKey: "{jira_ticket}"
+          })
+        }
+  };
 }
 
+// ------------------------------------------------------------------
+// Prometheus metrics (METRICS_TOKEN set → Bearer token required)
+// ------------------------------------------------------------------
+
+app.get("/metrics", async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+
+  res.set("Content-Type", registry.contentType);
+  res.send(await registry.metrics());
+});
+
+// ------------------------------------------------------------------
+// OpenAPI contract (public, like /health)
+// ------------------------------------------------------------------
+
+const OPENAPI_DOCUMENT = openApiDocument(ACTION_ALIASES);
+
+app.get("/openapi.json", (req, res) => {
+  res.json(OPENAPI_DOCUMENT);
+});
+
 // ------------------------------------------------------------------
 // Health check
 // ------------------------------------------------------------------
@@ -408,13 +820,98 @@ app.get("/health", (req, res) => {
   });
 });
 
+// ------------------------------------------------------------------
+// Readiness (see readiness.js) – 503 while a required integration is
+// down, so the orchestrator stops routing to this instance
+// ------------------------------------------------------------------
+
+app.get("/ready", async (req, res) => {
+  const { ready, integrations } = await checkIntegrations();
+  const records = [...blockStore.entries()].map(([, record]) => record);
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    service: "Remediation API",
+    integrations,
+    temp_blocks: {
+      pending: Object.keys(tempBlocks).length,
+      retrying_unblock: records.filter(r => r.retry_at).length
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
 // ------------------------------------------------------------------
 // MAIN REMEDIATION ENDPOINT
 // ------------------------------------------------------------------
 
-app.post("/", async (req, res) => {
+// Read-only actions are never deduplicated
+const dedupParts = req => {
+  const action = normalizeAction(req.body?.action);
+  if (action === "list_blocked") return null;
+  return [action, req.body?.target || {}, req.body?.issue || null];
+};
+
+// Blocking a target makes a cached "unblock" of it stale and vice versa:
+// replaying either would report a state the firewall is no longer in
+const OPPOSITE_ACTIONS = { block: "unblock", unblock: "block" };
+
+const staleDedupParts = req => {
+  const action = normalizeAction(req.body?.action);
+  if (!Object.hasOwn(OPPOSITE_ACTIONS, action)) return null;
+  return [[OPPOSITE_ACTIONS[action], req.body?.target || {}]];
+};
+
+// Callers need the normalized action in their scopes
+const actionScope = req => normalizeAction(req.body?.action);
+
+// Runs before the handler, in order
+const remediationMiddleware = [
+  auditTrail(normalizeAction),
+  authenticate,
+  requireScope(actionScope),
+  idempotent(dedupParts, { skip: isDryRun, stale: staleDedupParts })
+];
+
+// 400 body for a request that doesn't match its action's schema, else null
+function invalidRequest(request) {
+  const action = normalizeAction(request.action);
+
+  if (!action) {
+    return { error: "Missing 'action' field" };
+  }
+
+  if (!Object.hasOwn(ACTION_SCHEMAS, action)) {
+    return {
+      error: `Unknown action: ${action}`,
+      errors: [{ field: "action", message: `must be one of: ${Object.keys(ACTION_ALIASES).join(", ")}` }]
+    };
+  }
+
+  const errors = validateRemediation(action, request);
+  return errors && {
+    error: `Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`,
+    errors
+  };
+}
+
+// Metric label values stay bounded whatever callers send as "action"
+const METRIC_ACTIONS = new Set(["block", "unblock", "restart", "scale", "rollback", "drain", "notify"]);
+
+// Decision logic shared by POST / and playbook steps.
+// Returns { httpStatus, body } instead of writing to an Express response.
+// bypassLimits: released held actions (see limits.js) were approved already
+async function remediate(request = {}, { caller, dryRun = false, bypassLimits = false } = {}) {
+  const reply = (body, httpStatus = 200) => {
+    const action = normalizeAction(request.action);
+    remediations.inc({
+      action: METRIC_ACTIONS.has(action) ? action : "unknown",
+      status: body.status || (httpStatus >= 400 ? "error" : "success")
+    });
+    const requestId = correlationId();
+    return { httpStatus, body: requestId ? { ...body, request_id: requestId } : body };
+  };
 
-  
   // const { action, severity, target = {}, issue, description, block } = req.body;
 //   const {
 //   action,
@@ -432,136 +929,336 @@ app.post("/", async (req, res) => {
   target = {},
   issue,
   description: userDescription,
-  block
-} = req.body;
+  block,
+  jira_ticket: jiraTicket
+} = request;
 
 const action = normalizeAction(rawAction);
 
+  // Before anything reads target: it may be null or not an object
+  const invalid = invalidRequest(request);
+  if (invalid) {
+    return reply(invalid, 400);
+  }
+
   const ip = target.ip;
   const service = target.service;
   const replicas = target.replicas;
 
-  if (!action) {
-    return res.status(400).json({ error: "Missing 'action' field" });
+  let blockTarget = null;
+
+  if (action === "block" || action === "unblock") {
+    try {
+      blockTarget = resolveBlockTarget(target);
+    } catch (e) {
+      return reply({ error: e.message }, 400);
+    }
+
+    if (!blockTarget) {
+      return reply({
+        error: `Missing block target (one of ${BLOCK_TARGET_FIELDS.map(f => `target.${f}`).join(", ")})`
+      }, 400);
+    }
+  }
+
+  let providers = [];
+
+  if (action === "block" || action === "unblock" || action === "list_blocked") {
+    try {
+      providers = resolveProviders(target);
+
+      const unsupported = blockTarget && providers.find(p => !p.supports(blockTarget));
+      if (unsupported) {
+        return reply({ error: `Provider '${unsupported.name}' can't block ${blockTarget.type} targets` }, 400);
+      }
+    } catch (e) {
+      return reply({ error: e.message }, 400);
+    }
+  }
+
+  const policyDecision = evaluatePolicy({ action, target, issue, blockTarget });
+
+  if (!policyDecision.allowed) {
+    log.warn("Policy denied action", { action, rule: policyDecision.rule, reason: policyDecision.reason });
+    return reply({
+      status: "policy_denied",
+      action,
+      rule: policyDecision.rule,
+      reason: policyDecision.reason
+    }, 403);
   }
 
+  // Services under a require_approval policy always go through Jira
+  const autoApprove = name => isAutoApproved(name) && !policyDecision.require_approval;
+
   try {
+    // Past a blast-radius limit the action waits for a human instead
+    if (!dryRun && !bypassLimits && action !== "list_blocked") {
+      const targetType = blockTarget?.type ?? (service ? "service" : target.node ? "node" : null);
+      const breach = checkLimits({ action, caller: caller?.id, target_type: targetType });
+
+      if (breach) {
+        return reply(await holdForApproval(breach, { action, caller, targetType, request }));
+      }
+    }
+
     // ----------------------------------------------------------
-    // 1) BLOCK IP (Temporary or Permanent)
+    // 1) BLOCK IP / RANGE / ASN / COUNTRY (Temporary or Permanent)
     // ----------------------------------------------------------
 
     if (action === "block") {
-      if (!ip) return res.status(400).json({ error: "Missing 'ip' field" });
+      const { type: targetType, value } = blockTarget;
 
-      const tempMinutes = getTempBanMinutes(severity);
-      console.log(`⏳ Temp ban minutes for ${ip}: ${tempMinutes}`);
+      const duration = getTempBanMinutes(severity, value);
+      let tempMinutes = duration.minutes;
+      log.info("Block duration", { value, minutes: tempMinutes, offense_count: duration.offense_count });
 
       // NEW CONDITION: Check if block is explicitly set to true OR if severity is low/medium
-      if (block === true || tempMinutes > 0) {
-        // Create Cloudflare block rule
-        const resp = await CF.post("/firewall/access_rules/rules", {
-          mode: "block",
-          configuration: { target: "ip", value: ip },
-          notes: `ThreatPilot block (${severity})`
-        });
+      if (block === true || isScheduledSeverity(severity)) {
+        // Policy may cap the duration (and turn a permanent block temporary)
+        tempMinutes = capBlockMinutes(severity, tempMinutes);
+
+        const offense = {
+          offense_count: duration.offense_count,
+          duration_reason: tempMinutes === duration.minutes
+            ? duration.reason
+            : `${duration.reason}; capped by policy to ${describeDuration(tempMinutes)} for ${severity}`
+        };
+
+        // Rules a pending temp block holds for this value are updated, not
+        // duplicated (see providers/cloudflare.js)
+        const previous = blockStore.get(value);
+        const meta = {
+          severity,
+          caller: caller.id,
+          request_id: correlationId(),
+          existing_rules: previous ? recordRules(previous) : []
+        };
 
-        const ruleId = resp.data.result.id;
+        if (dryRun) {
+          const unblockAt = new Date(Date.now() + tempMinutes * 60000).toISOString();
 
-        // TEMPORARY block
-        if (tempMinutes > 0) {
-          // Clear previous timer if exists
-          if (tempBlocks[ip]?.timeout) clearTimeout(tempBlocks[ip].timeout);
+          return reply({
+            status: "dry_run",
+            action: tempMinutes > 0 ? "temp_block" : "block",
+            ip,
+            target_type: targetType,
+            value,
+            severity,
+            ...offense,
+            plan: {
+              duration_minutes: tempMinutes,
+              permanent: tempMinutes === 0,
+              unblock_at: tempMinutes > 0 ? unblockAt : null,
+              ...Object.fromEntries(providers.map(p => [p.name, [
+                ...p.plan("block", blockTarget, meta),
+                ...(tempMinutes > 0
+                  ? p.plan("expire", blockTarget, meta).map(step => ({ ...step, at: unblockAt }))
+                  : [])
+              ]]))
+            }
+          });
+        }
 
-          const timeout = setTimeout(async () => {
-            console.log(`⏱ Unblocking ${ip} (timer expired)`);
+        const results = await blockEverywhere(providers, blockTarget, meta);
+        const blocked = results.filter(r => r.status === "success");
 
-            try {
-              await CF.delete(`/firewall/access_rules/rules/${ruleId}`);
-            } catch (e) {
-              console.error("Cloudflare delete error:", e.response?.data || e.message);
-            }
+        if (blocked.length === 0) {
+          return reply({ status: "error", action: "block", ip, target_type: targetType, value, providers: results }, 500);
+        }
+
+        // rule_id of the first provider, kept for single-provider callers
+        const ruleId = blocked[0].rule_id;
+        const status = blocked.length === results.length ? "success" : "partial";
 
-            delete tempBlocks[ip];
-          }, tempMinutes * 60 * 1000);
+        recordOffense(value);
 
-          tempBlocks[ip] = { rule_id: ruleId, timeout };
+        // TEMPORARY block
+        if (tempMinutes > 0) {
+          const unblockAt = new Date(Date.now() + tempMinutes * 60000).toISOString();
+
+          // Keep rules other providers still hold for this value
+          const rules = [
+            ...(previous ? recordRules(previous) : []).filter(
+              r => !blocked.some(b => b.provider === r.provider)
+            ),
+            ...blocked.map(b => ({ provider: b.provider, rule_id: b.rule_id }))
+          ];
+
+          const jiraKeys = [...new Set([...(previous?.jira_keys || []), ...[].concat(jiraTicket || [])])];
+
+          blockStore.set(value, {
+            target_type: targetType,
+            value,
+            rules,
+            severity,
+            blocked_at: new Date().toISOString(),
+            expires_at: unblockAt,
+            request_id: correlationId(),
+            ...(jiraKeys.length && { jira_keys: jiraKeys })
+          });
+          scheduleUnblock(value, rules, unblockAt);
 
-          return res.json({
-            status: "success",
+          await postSlackMessage(slackBlockMessage({
+            value,
+            targetType,
+            severity,
+            issue,
+            unblockAt,
+            extendMinutes: SLACK_EXTEND_BLOCK_MINUTES,
+            offense: `#${offense.offense_count}`
+          }));
+
+          return reply({
+            status,
             action: "temp_block",
             ip,
+            target_type: targetType,
+            value,
             severity,
+            rule_id: ruleId,
+            providers: results,
+            ...offense,
             duration_minutes: tempMinutes,
-            unblock_at: new Date(Date.now() + tempMinutes * 60000).toISOString()
+            unblock_at: unblockAt
           });
         }
 
-        // PERMANENT block
-        return res.json({
-          status: "success",
+        // PERMANENT block – an escalated repeat offender may still have a
+        // temp block pending; its unblock must not lift this one
+        if (tempBlocks[value]?.timeout) clearTimeout(tempBlocks[value].timeout);
+        delete tempBlocks[value];
+        blockStore.delete(value);
+
+        return reply({
+          status,
           action: "block",
           ip,
+          target_type: targetType,
+          value,
           severity,
+          rule_id: ruleId,
+          providers: results,
+          ...offense,
           permanent: true
         });
       } else {
         // Block condition not met - skip blocking
-        return res.json({
+        return reply({
           status: "skipped",
           action: "block",
           ip,
+          target_type: targetType,
+          value,
           severity,
+          ...(dryRun && { dry_run: true }),
           message: "Block condition not met (block flag not set and severity is high/critical)"
         });
       }
     }
 
     // ----------------------------------------------------------
-    // 2) UNBLOCK IP (manual)
+    // 2) UNBLOCK (manual) – any block target type
     // ----------------------------------------------------------
 
     if (action === "unblock") {
-      if (!ip) return res.status(400).json({ error: "Missing 'ip' field" });
+      const { type: targetType, value } = blockTarget;
+
+      if (dryRun) {
+        return reply({
+          status: "dry_run",
+          action: "unblock",
+          ip,
+          target_type: targetType,
+          value,
+          plan: {
+            ...Object.fromEntries(providers.map(p => [p.name, p.plan("unblock", blockTarget)])),
+            cancels_temp_block: Boolean(tempBlocks[value])
+          }
+        });
+      }
 
-      const list = await CF.get("/firewall/access_rules/rules");
-      const rule = list.data.result.find(r => r.configuration.value === ip);
+      const results = await unblockEverywhere(providers, blockTarget);
+      const removed = results.filter(r => r.status === "success");
+
+      if (removed.length === 0) {
+        if (results.some(r => r.status === "error")) {
+          return reply({ status: "error", action: "unblock", ip, target_type: targetType, value, providers: results }, 500);
+        }
 
-      if (!rule) {
-        return res.json({
+        return reply({
           status: "not_found",
-          message: "IP was not blocked"
+          message: `${value} was not blocked`
         });
       }
 
-      await CF.delete(`/firewall/access_rules/rules/${rule.id}`);
-
-      if (tempBlocks[ip]) {
-        clearTimeout(tempBlocks[ip].timeout);
-        delete tempBlocks[ip];
+      // Drop the removed rules from the temp block; cancel it once none are left
+      const record = blockStore.get(value);
+      if (record) {
+        const rules = recordRules(record).filter(r => !removed.some(x => x.provider === r.provider));
+
+        if (rules.length === 0) {
+          clearTimeout(tempBlocks[value]?.timeout);
+          delete tempBlocks[value];
+          blockStore.delete(value);
+        } else {
+          blockStore.set(value, { ...record, rules });
+          if (tempBlocks[value]) tempBlocks[value].rules = rules;
+        }
       }
 
-      return res.json({
-        status: "success",
+      return reply({
+        status: removed.length === results.length ? "success" : "partial",
         action: "unblock",
-        ip
+        ip,
+        target_type: targetType,
+        value,
+        rule_id: removed[0].rule_id,
+        providers: results
       });
     }
 
     // ----------------------------------------------------------
-    // 3) LIST ALL BLOCKED IPs
+    // 3) LIST ALL BLOCKED TARGETS
     // ----------------------------------------------------------
 
     if (action === "list_blocked") {
-      const cfRules = await CF.get("/firewall/access_rules/rules");
+      if (dryRun) {
+        return reply({
+          status: "dry_run",
+          action: "list_blocked",
+          plan: Object.fromEntries(providers.map(p => [p.name, p.plan("list")]))
+        });
+      }
+
+      const results = await listEverywhere(providers);
+      const failed = results.filter(r => r.status === "error");
+
+      if (failed.length === results.length) {
+        return reply({ status: "error", action: "list_blocked", providers: failed }, 500);
+      }
 
-      const ips = cfRules.data.result
-        .filter(r => r.mode === "block")
-        .map(r => r.configuration.value);
+      const entries = results.flatMap(r => r.entries || []);
 
-      return res.json({
-        status: "success",
+      const ips = [...new Set(
+        entries
+          .filter(e => e.target_type === "ip" || e.target_type === "ip6")
+          .map(e => e.value)
+      )];
+
+      const targets = entries.map(e => ({
+        provider: e.provider,
+        target_type: e.target_type,
+        value: e.value,
+        rule_id: e.rule_id
+      }));
+
+      return reply({
+        status: failed.length ? "partial" : "success",
         action: "list_blocked",
-        ips
+        ips,
+        targets,
+        ...(failed.length && { errors: failed })
       });
     }
 
@@ -575,30 +1272,43 @@ const action = normalizeAction(rawAction);
 
     if (action === "restart") {
   if (!service) {
-    return res.status(400).json({ error: "Missing target.service" });
+    return reply({ error: "Missing target.service" }, 400);
   }
 
-  const jiraKey = await createJiraTicket({
+  const ticket = {
     summary: `[ThreatPilot] Restart Service ${service}`,
-    description: toADF(
-      `ACTION: RESTART SERVICE
-
-Service: ${service}
-Severity: ${severity}
-Issue: ${issue || "unknown"}
-
-${userDescription || ""}`
-    ),
+    description: approvalTicketBody("ACTION: RESTART SERVICE", "restart", {
+      target,
+      severity,
+      issue,
+      userDescription
+    }),
     priority: priorityFromSeverity(severity),
     issueType: "Task",
-    labels: ["threatpilot", "restart", "manual-approval"]
+    service,
+    labels: ["threatpilot", "restart", "manual-approval", targetLabel(target), callerLabel(caller)]
+  };
+
+  if (dryRun) {
+    return reply(planServiceAction("restart", target, ticket, autoApprove("restart"), { severity, issue }));
+  }
+
+  if (autoApprove("restart")) {
+    return reply(await runAutoApproved("restart", target));
+  }
+
+  const { key: jiraKey, deduplicated } = await requestApproval("restart", target, ticket, {
+    severity,
+    issue,
+    description: userDescription
   });
 
-  return res.json({
+  return reply({
     status: "pending_approval",
     action: "restart",
     service,
-    jira_ticket: jiraKey
+    jira_ticket: jiraKey,
+    deduplicated
   });
 }
 
@@ -614,32 +1324,44 @@ ${userDescription || ""}`
 
     if (action === "scale") {
   if (!service) {
-    return res.status(400).json({ error: "Missing target.service" });
+    return reply({ error: "Missing target.service" }, 400);
   }
 
-  const jiraKey = await createJiraTicket({
+  const ticket = {
     summary: `[ThreatPilot] Scale Service ${service}`,
-    description: toADF(
-      `ACTION: SCALE SERVICE
-
-Service: ${service}
-Target replicas: ${replicas ?? "not specified"}
-Severity: ${severity}
-Issue: ${issue || "unknown"}
-
-${userDescription || ""}`
-    ),
+    description: approvalTicketBody("ACTION: SCALE SERVICE", "scale", {
+      target,
+      severity,
+      issue,
+      userDescription
+    }),
     priority: priorityFromSeverity(severity),
     issueType: "Task",
-    labels: ["threatpilot", "scale", "manual-approval"]
+    service,
+    labels: ["threatpilot", "scale", "manual-approval", ...approvalLabels("scale", target), callerLabel(caller)]
+  };
+
+  if (dryRun) {
+    return reply(planServiceAction("scale", target, ticket, autoApprove("scale"), { severity, issue }));
+  }
+
+  if (autoApprove("scale")) {
+    return reply(await runAutoApproved("scale", target));
+  }
+
+  const { key: jiraKey, deduplicated } = await requestApproval("scale", target, ticket, {
+    severity,
+    issue,
+    description: userDescription
   });
 
-  return res.json({
+  return reply({
     status: "pending_approval",
     action: "scale",
     service,
     replicas,
-    jira_ticket: jiraKey
+    jira_ticket: jiraKey,
+    deduplicated
   });
 }
 
@@ -653,30 +1375,43 @@ ${userDescription || ""}`
 
     if (action === "rollback") {
   if (!service) {
-    return res.status(400).json({ error: "Missing target.service" });
+    return reply({ error: "Missing target.service" }, 400);
   }
 
-  const jiraKey = await createJiraTicket({
+  const ticket = {
     summary: `[ThreatPilot] Rollback Required for ${service}`,
-    description: toADF(
-      `ACTION: ROLLBACK SERVICE
-
-Service: ${service}
-Severity: ${severity}
-Issue: ${issue || "unknown"}
-
-${userDescription || ""}`
-    ),
+    description: approvalTicketBody("ACTION: ROLLBACK SERVICE", "rollback", {
+      target,
+      severity,
+      issue,
+      userDescription
+    }),
     priority: priorityFromSeverity(severity),
     issueType: "Task",
-    labels: ["threatpilot", "rollback", "manual-approval"]
+    service,
+    labels: ["threatpilot", "rollback", "manual-approval", targetLabel(target), callerLabel(caller)]
+  };
+
+  if (dryRun) {
+    return reply(planServiceAction("rollback", target, ticket, autoApprove("rollback"), { severity, issue }));
+  }
+
+  if (autoApprove("rollback")) {
+    return reply(await runAutoApproved("rollback", target));
+  }
+
+  const { key: jiraKey, deduplicated } = await requestApproval("rollback", target, ticket, {
+    severity,
+    issue,
+    description: userDescription
   });
 
-  return res.json({
+  return reply({
     status: "pending_approval",
     action: "rollback",
     service,
-    jira_ticket: jiraKey
+    jira_ticket: jiraKey,
+    deduplicated
   });
 }
 
@@ -729,62 +1464,551 @@ ${userDescription || ""}`
 //   });
 // }
     if (action === "drain") {
-  if (!service) {
-    return res.status(400).json({ error: "Missing target.service" });
+  if (!service && !target.node) {
+    return reply({ error: "Missing target.service or target.node" }, 400);
   }
 
-  const jiraKey = await createJiraTicket({
-    summary: `[ThreatPilot] Drain Service ${service}`,
-    description: toADF(
-      `ACTION: DRAIN SERVICE
-
-Service: ${service}
-Severity: ${severity}
-Issue: ${issue || "unknown"}
-
-${userDescription || ""}`
-    ),
+  const ticket = {
+    summary: service
+      ? `[ThreatPilot] Drain Service ${service}`
+      : `[ThreatPilot] Drain Node ${target.node}`,
+    description: approvalTicketBody(`ACTION: DRAIN ${service ? "SERVICE" : "NODE"}`, "drain", {
+      target,
+      severity,
+      issue,
+      userDescription
+    }),
     priority: severity === "critical" ? "Highest" : "High",
     issueType: "Task",
-    labels: ["threatpilot", "drain", "manual-approval"]
+    service,
+    labels: ["threatpilot", "drain", "manual-approval", targetLabel(target), callerLabel(caller)]
+  };
+
+  if (dryRun) {
+    return reply(planServiceAction("drain", target, ticket, autoApprove("drain"), { severity, issue }));
+  }
+
+  if (autoApprove("drain")) {
+    return reply(await runAutoApproved("drain", target));
+  }
+
+  const { key: jiraKey, deduplicated } = await requestApproval("drain", target, ticket, {
+    severity,
+    issue,
+    description: userDescription
   });
 
-  return res.json({
+  return reply({
     status: "pending_approval",
     action: "drain",
     service,
-    jira_ticket: jiraKey
+    node: target.node,
+    jira_ticket: jiraKey,
+    deduplicated
   });
 }
 
 
     if (action === "notify") {
-  await alertSRESlack({
+  const notification = {
     action,
+    raw_action: rawAction,
     severity,
     issue,
-    target
-  });
+    target,
+    description: userDescription
+  };
 
-  return res.json({
-    status: "success",
+  if (dryRun) {
+    return reply({
+      status: "dry_run",
+      action: "notify",
+      plan: planNotification(notification)
+    });
+  }
+
+  const { route, deliveries } = await notify(notification);
+  const sent = deliveries.filter(d => d.status === "sent");
+
+  return reply({
+    status: sent.length === 0 ? "error" : sent.length === deliveries.length ? "success" : "partial",
     action: "notify",
-    message: "SRE notified via Slack"
-  });
+    route,
+    channels: deliveries,
+    message: sent.length
+      ? `Notified via ${sent.map(d => d.channel).join(", ")}`
+      : "No notification channel delivered the alert"
+  }, sent.length === 0 ? 500 : 200);
 }
 
 
-    return res.status(400).json({ error: `Unknown action: ${action}` });
+    return reply({ error: `Unknown action: ${action}` }, 400);
 
   } catch (err) {
-    console.error("ERROR:", err.response?.data || err.message);
+    log.error("Remediation failed", { action, error: err });
 
-    return res.status(500).json({
+    return reply({
       status: "error",
       action,
       details: err.response?.data || err.message
+    }, 500);
+  }
+}
+
+// ------------------------------------------------------------------
+// Async jobs (?async=true / "async": true on POST /, or POST /jobs)
+// 202 + job id at once; GET /jobs/:id for status and result
+// ------------------------------------------------------------------
+
+function isAsync(req) {
+  return req.query.async === "true" || req.body?.async === true;
+}
+
+function acceptJob(req, res) {
+  // Reject now rather than in a job result nobody may poll
+  const invalid = invalidRequest(req.body || {});
+  if (invalid) return res.status(400).json(invalid);
+
+  try {
+    const job = submitJob(req.body || {}, { caller: req.caller, dryRun: isDryRun(req) });
+
+    return res
+      .status(202)
+      .location(`/jobs/${job.id}`)
+      .json({
+        status: "queued",
+        action: normalizeAction(req.body?.action) ?? null,
+        job_id: job.id,
+        status_url: `/jobs/${job.id}`
+      });
+  } catch (e) {
+    if (e instanceof JobError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+}
+
+// Express 4 doesn't catch rejected handlers: answer 500 rather than
+// letting one bad request take the process down
+app.post("/", remediationMiddleware, async (req, res) => {
+  try {
+    if (isAsync(req)) return acceptJob(req, res);
+
+    const { httpStatus, body } = await remediate(req.body, {
+      caller: req.caller,
+      dryRun: isDryRun(req)
     });
+
+    return res.status(httpStatus).json(body);
+  } catch (e) {
+    log.error("Remediation request failed", { error: e });
+    return res.status(500).json({ status: "error", error: "Internal error", request_id: req.requestId });
+  }
+});
+
+app.post("/jobs", remediationMiddleware, acceptJob);
+
+// Callers see their own jobs; "*" sees every job
+app.get("/jobs/:id", authenticate, (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job || (job.caller?.id !== req.caller.id && !isAuthorized(req.caller, "*"))) {
+    return res.status(404).json({ error: `Unknown job ${req.params.id}` });
+  }
+
+  return res.json(describeJob(job));
+});
+
+// ------------------------------------------------------------------
+// BLOCK INVENTORY
+// GET /blocks?provider=&type=&value=&severity=&caller=&kind=temporary|permanent
+//            &sort=created_on|unblock_at|value|severity&order=asc|desc&limit=&offset=
+// ThreatPilot-created rules from every provider joined with local expiry data.
+// ------------------------------------------------------------------
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+function toInventoryEntry(entry) {
+  const record = blockStore.get(entry.value);
+  const temporary = Boolean(
+    record &&
+      recordRules(record).some(r => r.provider === entry.provider && r.rule_id === entry.rule_id)
+  );
+
+  return {
+    ...entry,
+    severity: (temporary && record.severity) || entry.severity || null,
+    temporary,
+    unblock_at: temporary ? record.expires_at : null
+  };
+}
+
+app.get("/blocks", authenticate, requireScope(() => "list_blocked"), async (req, res) => {
+  const { type, value, severity, caller, kind, sort = "created_on", order = "desc" } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const offset = Number(req.query.offset) || 0;
+
+  if (!["created_on", "unblock_at", "value", "severity"].includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort '${sort}'` });
+  }
+
+  let providers;
+  try {
+    providers = resolveProviders({ provider: req.query.provider?.split(",") });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const results = await listEverywhere(providers, { threatpilotOnly: true });
+  const failed = results.filter(r => r.status === "error");
+
+  if (failed.length === results.length) {
+    return res.status(500).json({ status: "error", providers: failed });
   }
+
+  let blocks = results
+    .flatMap(r => r.entries || [])
+    .map(toInventoryEntry)
+    .filter(b => !type || b.target_type === type)
+    .filter(b => !value || b.value.includes(value))
+    .filter(b => !severity || b.severity === severity)
+    .filter(b => !caller || b.caller === caller)
+    .filter(b => !kind || (kind === "temporary" ? b.temporary : !b.temporary));
+
+  const key = b => (sort === "severity" ? SEVERITY_RANK[b.severity] || 0 : b[sort] || "");
+  const direction = order === "asc" ? 1 : -1;
+  blocks.sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * direction);
+
+  const total = blocks.length;
+  blocks = blocks.slice(offset, offset + limit);
+
+  return res.json({
+    status: failed.length ? "partial" : "success",
+    total,
+    offset,
+    limit,
+    blocks,
+    ...(failed.length && { errors: failed })
+  });
+});
+
+// ------------------------------------------------------------------
+// PLAYBOOKS
+// POST /playbooks/:name/run  { severity, issue, description, target, vars, dry_run }
+// Each action step is checked against the caller's scopes like POST /.
+// ------------------------------------------------------------------
+
+app.get("/playbooks", authenticate, requireScope(() => "playbooks"), (req, res) => {
+  return res.json({ status: "success", playbooks: listPlaybooks() });
+});
+
+app.post("/playbooks/:name/run", authenticate, requireScope(() => "playbooks"), async (req, res) => {
+  let playbook;
+  try {
+    playbook = loadPlaybook(req.params.name);
+  } catch (e) {
+    log.error("Invalid playbook", { playbook: req.params.name, error: e });
+    return res.status(500).json({ status: "error", error: `Invalid playbook: ${e.message}` });
+  }
+
+  if (!playbook) {
+    return res.status(404).json({ error: `Unknown playbook: ${req.params.name}` });
+  }
+
+  const dryRun = isDryRun(req);
+
+  const execute = async request => {
+    const scope = normalizeAction(request.action);
+    if (!isAuthorized(req.caller, scope)) {
+      return {
+        httpStatus: 403,
+        body: { status: "forbidden", error: `Caller '${req.caller.id}' is not allowed to perform '${scope}'` }
+      };
+    }
+    return remediate(request, { caller: req.caller, dryRun });
+  };
+
+  log.info("Running playbook", { playbook: playbook.name, caller: req.caller.id, dry_run: dryRun });
+
+  const result = await runPlaybook(playbook, req.body, { execute, caller: req.caller, dryRun });
+  return res.json(result);
+});
+
+// ------------------------------------------------------------------
+// HELD ACTIONS (blast-radius limits, see limits.js)
+// GET  /held-actions?key=                          limits, trips, held actions
+// POST /held-actions/release { ids?: [], key? }    run them now, in order
+// POST /held-actions/discard { ids?: [], key? }    drop them
+// Without ids or key every held action is selected.
+// ------------------------------------------------------------------
+
+function auditHeld(record, outcome, decidedBy, httpStatus, body) {
+  recordAudit({
+    source: "held_action",
+    caller: decidedBy,
+    raw_action: record.request.action ?? null,
+    action: record.action,
+    severity: record.request.severity ?? null,
+    target: record.request.target || {},
+    issue: record.request.issue ?? null,
+    outcome,
+    http_status: httpStatus,
+    rule_ids: ruleIdsOf(body),
+    jira_keys: body?.jira_ticket ? [body.jira_ticket] : [],
+    details: { held_id: record.id, limit: record.limit, held_for: record.caller.id }
+  });
+}
+
+function heldSelection(req, res) {
+  const { ids, key } = req.body || {};
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== "string"))) {
+    res.status(400).json({ error: "'ids' must be an array of held action ids" });
+    return null;
+  }
+  return { ids, key };
+}
+
+// Trips that no longer hold anything get their Jira ticket closed
+async function closeClearedTrips(cleared, summary) {
+  for (const trip of cleared) {
+    log.info("Blast-radius limit cleared", { key: trip.key, limit: trip.limit?.name });
+    if (!trip.jira_key) continue;
+
+    try {
+      await resolveJiraTicket(trip.jira_key, summary);
+    } catch (e) {
+      log.error("Resolving Jira ticket failed", { jira_ticket: trip.jira_key, error: e });
+    }
+  }
+}
+
+app.get("/held-actions", authenticate, requireScope(() => "held_actions"), (req, res) => {
+  const held = listHeld({ key: req.query.key });
+  return res.json({ status: "success", ...limitStatus(), count: held.length, held });
+});
+
+app.post("/held-actions/release", authenticate, requireScope(() => "held_actions"), async (req, res) => {
+  const selection = heldSelection(req, res);
+  if (!selection) return;
+
+  const { taken, cleared } = takeHeld(selection);
+  log.info("Releasing held actions", { count: taken.length, by: req.caller.id });
+
+  const results = [];
+  for (const record of taken) {
+    // Runs as the agent that sent it, under its original request id
+    const { httpStatus, body } = await withCorrelation(record.request_id, () =>
+      remediate(record.request, { caller: record.caller, bypassLimits: true })
+    );
+    auditHeld(record, body?.status || (httpStatus >= 400 ? "error" : "success"), req.caller.id, httpStatus, body);
+    results.push({ id: record.id, action: record.action, http_status: httpStatus, result: body });
+  }
+
+  const failed = results.filter(r => r.http_status >= 400).length;
+  await closeClearedTrips(
+    cleared,
+    `${taken.length} held action(s) released by ${req.caller.id}${failed ? `, ${failed} failed` : ""}.`
+  );
+
+  return res.json({
+    status: failed === 0 ? "success" : failed === results.length ? "error" : "partial",
+    released: results.length,
+    failed,
+    results
+  });
+});
+
+app.post("/held-actions/discard", authenticate, requireScope(() => "held_actions"), async (req, res) => {
+  const selection = heldSelection(req, res);
+  if (!selection) return;
+
+  const { taken, cleared } = takeHeld(selection);
+  log.info("Discarding held actions", { count: taken.length, by: req.caller.id });
+
+  for (const record of taken) auditHeld(record, "discarded", req.caller.id, null, null);
+  await closeClearedTrips(cleared, `${taken.length} held action(s) discarded by ${req.caller.id}.`);
+
+  return res.json({ status: "success", discarded: taken.length, ids: taken.map(r => r.id) });
+});
+
+// ------------------------------------------------------------------
+// AUDIT QUERY / EXPORT
+// GET /audit?ip=&service=&action=&status=&caller=&request_id=&from=&to=&limit=&format=json|ndjson|csv
+// ------------------------------------------------------------------
+
+app.get("/audit", authenticate, requireScope(() => "audit"), async (req, res) => {
+  const { ip, service, action, status, caller, request_id: requestId, from, to, format = "json" } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 1000, 10000);
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `Invalid '${name}' timestamp` });
+    }
+  }
+
+  const entries = await queryAudit({ ip, service, action, status, caller, requestId, from, to }, limit);
+
+  if (format === "csv") {
+    return res.type("text/csv").attachment("audit.csv").send(toCSV(entries));
+  }
+
+  if (format === "ndjson") {
+    return res.type("application/x-ndjson").send(toNDJSON(entries));
+  }
+
+  return res.json({ status: "success", count: entries.length, entries });
+});
+
+// ------------------------------------------------------------------
+// Slack interactivity (Approve / Reject / Extend block buttons)
+// ------------------------------------------------------------------
+
+const SLACK_EXTEND_BLOCK_MINUTES = Number(process.env.SLACK_EXTEND_BLOCK_MINUTES || 60);
+
+// Returns the outcome line shown in place of the buttons
+async function handleSlackAction(actionId, value, decidedBy) {
+  if (actionId === "approve" || actionId === "reject") {
+    const pending = getPendingAction(value);
+    if (!pending) return `Nothing to do: ${value} was already decided`;
+
+    if (actionId === "reject") {
+      await closePendingAction(value, "Rejected", decidedBy, `rejected in Slack by ${decidedBy}`);
+      return `🛑 Rejected – ${pending.action} cancelled`;
+    }
+
+    const result = await approvePendingAction(value, decidedBy);
+    if (result.status === "not_configured") {
+      return `⏸ Approved – ${pending.action} stays pending: no executor configured`;
+    }
+    return result.status === "success"
+      ? `✅ Approved – ${pending.action} executed`
+      : `❌ Approved – ${pending.action} failed: ${JSON.stringify(result.details)}`;
+  }
+
+  if (actionId === "extend_block") {
+    const extension = extendTempBlock(value, SLACK_EXTEND_BLOCK_MINUTES);
+    if (!extension) return `Nothing to do: ${value} is no longer temporarily blocked`;
+
+    const { expires_at: expiresAt, extended, capped } = extension;
+
+    recordAudit({
+      source: "slack",
+      caller: decidedBy,
+      raw_action: "extend_block",
+      action: "extend_block",
+      severity: null,
+      target: { value },
+      issue: null,
+      outcome: extended ? "success" : "skipped",
+      rule_ids: [],
+      jira_keys: [],
+      details: { expires_at: expiresAt, capped_by_policy: capped }
+    });
+
+    if (!extended) return `Not extended: ${value} is already blocked for the longest time policy allows (until ${expiresAt})`;
+    return `⏳ Block of ${value} extended until ${expiresAt}${capped ? " (capped by policy)" : ""}`;
+  }
+
+  return `Unknown action '${actionId}'`;
+}
+
+app.post("/slack/interactions", async (req, res) => {
+  const authorized = verifySlackRequest({
+    rawBody: req.rawBody,
+    timestamp: req.get("X-Slack-Request-Timestamp"),
+    signature: req.get("X-Slack-Signature")
+  });
+
+  if (!authorized) {
+    return res.status(401).json({ error: "Invalid Slack signature" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body?.payload);
+  } catch {
+    return res.status(400).json({ error: "Missing or invalid payload" });
+  }
+
+  const clicked = payload?.actions?.[0];
+  if (payload?.type !== "block_actions" || !clicked) {
+    return res.status(200).end();
+  }
+
+  // Slack expects an answer within 3 seconds; the outcome is posted back
+  // to the original message through response_url
+  res.status(200).end();
+
+  const user = payload.user?.username || payload.user?.name || payload.user?.id || "unknown";
+  const decidedBy = `slack:${user}`;
+  log.info("Slack action", { action_id: clicked.action_id, value: clicked.value, user });
+
+  let outcome;
+  try {
+    outcome = await handleSlackAction(clicked.action_id, clicked.value, decidedBy);
+  } catch (e) {
+    log.error("Slack action failed", { action_id: clicked.action_id, value: clicked.value, error: e });
+    outcome = `❌ ${clicked.action_id} failed: ${e.message}`;
+  }
+
+  if (payload.response_url) {
+    await respondToSlack(payload.response_url, slackDecisionMessage(payload.message, {
+      decidedBy: user,
+      outcome,
+      keepActions: clicked.action_id === "extend_block"
+    }));
+  }
+});
+
+// ------------------------------------------------------------------
+// JIRA APPROVAL WEBHOOK
+// Executes or closes the pending action once its ticket is transitioned.
+// ------------------------------------------------------------------
+
+app.post("/webhooks/jira", async (req, res) => {
+  const authorized = verifyJiraWebhook({
+    rawBody: req.rawBody,
+    signature: req.get("X-Hub-Signature"),
+    token: req.query.secret
+  });
+
+  if (!authorized) {
+    return res.status(401).json({ error: "Invalid webhook secret" });
+  }
+
+  const jiraKey = req.body?.issue?.key;
+  const decidedBy = req.body?.user?.displayName || req.body?.user?.accountId;
+
+  if (!jiraKey || !getPendingAction(jiraKey)) {
+    return res.json({ status: "ignored", jira_ticket: jiraKey, message: "No pending action" });
+  }
+
+  // Only a transition decides: comments and field edits on a ticket that
+  // already sits in "Approved" (including our own comments) must not
+  // count as another approval
+  const statusChange = req.body?.changelog?.items?.find(i => i.field === "status");
+  if (!statusChange) {
+    return res.json({ status: "ignored", jira_ticket: jiraKey, message: "No status transition" });
+  }
+  const status = statusChange.toString;
+
+  const decision = decisionFromStatus(status);
+
+  if (decision === "approved") {
+    const result = await approvePendingAction(jiraKey, decidedBy);
+    return res.json({ jira_ticket: jiraKey, ...result });
+  }
+
+  if (decision === "rejected") {
+    const result = await closePendingAction(jiraKey, status, decidedBy);
+    return res.json({ jira_ticket: jiraKey, ...result });
+  }
+
+  return res.json({
+    status: "ignored",
+    jira_ticket: jiraKey,
+    message: `Status '${status}' is not an approval decision`
+  });
 });
 
 // ------------------------------------------------------------------
@@ -793,7 +2017,13 @@ ${userDescription || ""}`
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () =>
-  console.log(`🚀 Remediation API running on port ${PORT}`)
+  log.info("Remediation API running", { port: Number(PORT) })
 );
 
+restoreTempBlocks().catch(err =>
+  log.error("Failed to restore temp blocks", { error: err })
+);
+
+startJobWorker(remediate);
+
 
@@ -1,4 +1,10 @@
 import axios from "axios";
+import crypto from "crypto";
+import fs from "fs";
+import { doc, markdownToADF } from "./adf.js";
+import { resilient } from "./outbound.js";
+import { log, correlationId } from "./logger.js";
+import { safeEqual } from "./util.js";
 
 /* =========================
    ENV
@@ -8,12 +14,65 @@ const JIRA_BASE_URL = process.env.JIRA_BASE;
 const JIRA_EMAIL = process.env.JIRA_MAIL;
 const JIRA_API_TOKEN = process.env.JIRA_API;
 const JIRA_PROJECT_KEY = process.env.JIRA_PROJECT;
+const JIRA_WEBHOOK_SECRET = process.env.JIRA_WEBHOOK_SECRET;
+const JIRA_RESOLVED_STATUS = process.env.JIRA_RESOLVED_STATUS || "Done";
+
+/* =========================
+   SERVICE ROUTING
+========================= */
+
+/*
+JIRA_SERVICES (JSON) or JIRA_SERVICES_FILE (path to JSON):
+{
+  "checkout": {
+    "project": "SHOP",                       // default JIRA_PROJECT
+    "owner": "5b10ac8d82e05b22cc7d4ef5",     // Atlassian accountId
+    "components": ["Checkout"],
+    "custom_fields": { "customfield_10042": { "value": "Tier 1" } }
+  }
+}
+*/
+
+const SERVICE_ROUTES = loadServiceRoutes();
+
+function loadServiceRoutes() {
+  let raw = process.env.JIRA_SERVICES;
+
+  if (process.env.JIRA_SERVICES_FILE) {
+    try {
+      raw = fs.readFileSync(process.env.JIRA_SERVICES_FILE, "utf8");
+    } catch (e) {
+      log.error("Cannot read JIRA_SERVICES_FILE", { error: e });
+      return {};
+    }
+  }
+
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    log.error("Invalid JIRA_SERVICES config", { error: e });
+    return {};
+  }
+}
+
+// { project, owner, components, custom_fields } for a service
+export function jiraRouteFor(service) {
+  const route = (service && SERVICE_ROUTES[service]) || {};
+  return {
+    project: route.project || JIRA_PROJECT_KEY,
+    owner: route.owner,
+    components: route.components || [],
+    custom_fields: route.custom_fields || {}
+  };
+}
 
 /* =========================
    JIRA CLIENT
 ========================= */
 
-const jira = axios.create({
+const jira = resilient("jira", axios.create({
   baseURL: `${JIRA_BASE_URL}/rest/api/3`,
   headers: {
     "Authorization":
@@ -21,55 +80,257 @@ const jira = axios.create({
       Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64"),
     "Content-Type": "application/json"
   }
-});
+}));
 
 /* =========================
    ADF HELPER
 ========================= */
 
+// Plain text or Markdown → ADF document (see adf.js for richer bodies)
 export function toADF(text) {
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "paragraph",
-        content: [
-          {
-            type: "text",
-            text: String(text)
-          }
-        ]
-      }
-    ]
-  };
+  return doc(...markdownToADF(text));
 }
 
 /* =========================
    GENERIC JIRA TICKET
 ========================= */
 
+// `service` picks project, assignee, components and custom fields from
+// JIRA_SERVICES; explicit arguments win over the service route.
 export async function createJiraTicket({
   summary,
   description,
   priority = "Medium",
   issueType = "Task",
-  labels = []
+  labels = [],
+  service,
+  project,
+  assignee,
+  components,
+  customFields = {}
 }) {
-  if (!JIRA_PROJECT_KEY) {
+  const route = jiraRouteFor(service);
+  const projectKey = project || route.project;
+
+  if (!projectKey) {
     throw new Error("JIRA_PROJECT env var missing");
   }
 
+  const owner = assignee || route.owner;
+  const componentNames = components || route.components;
+
+  // request-<id> finds every ticket a request (or job) opened
+  const requestId = correlationId();
+  const allLabels = requestId ? [...labels, `request-${requestId}`] : labels;
+
   const res = await jira.post("/issue", {
     fields: {
-      project: { key: JIRA_PROJECT_KEY },
+      project: { key: projectKey },
       summary,
       description,
       issuetype: { name: issueType },
       priority: { name: priority },
-      labels
+      labels: allLabels,
+      ...(owner && { assignee: { accountId: owner } }),
+      ...(componentNames.length && { components: componentNames.map(name => ({ name })) }),
+      ...route.custom_fields,
+      ...customFields
     }
   });
 
   return res.data.key;
 }
+
+export function jiraIssueUrl(issueKey) {
+  return JIRA_BASE_URL ? `${JIRA_BASE_URL}/browse/${issueKey}` : null;
+}
+
+/* =========================
+   READINESS
+========================= */
+
+export function jiraConfigured() {
+  return Boolean(JIRA_BASE_URL && JIRA_EMAIL && JIRA_API_TOKEN);
+}
+
+// GET /myself answers 401 for bad credentials
+export async function verifyJiraCredentials(options) {
+  const res = await jira.get("/myself", options);
+  return { valid: Boolean(res.data?.accountId) };
+}
+
+/* =========================
+   ISSUE UPDATES
+========================= */
+
+export async function assignIssue(issueKey, accountId) {
+  await jira.put(`/issue/${issueKey}/assignee`, { accountId });
+}
+
+// Assigns the issue to the owner of `service`; false when none is mapped
+export async function assignToServiceOwner(issueKey, service) {
+  const { owner } = jiraRouteFor(service);
+  if (!owner) return false;
+
+  await assignIssue(issueKey, owner);
+  return true;
+}
+
+// components: names, replacing the current set. customFields: raw
+// { customfield_XXXXX: value } pairs.
+export async function setIssueFields(issueKey, { components, customFields = {} }) {
+  await jira.put(`/issue/${issueKey}`, {
+    fields: {
+      ...(components && { components: components.map(name => ({ name })) }),
+      ...customFields
+    }
+  });
+}
+
+// e.g. linkIssues("OPS-12", "OPS-7", "Relates") or "Blocks", "Duplicate"
+export async function linkIssues(fromKey, toKey, type = "Relates") {
+  await jira.post("/issueLink", {
+    type: { name: type },
+    inwardIssue: { key: fromKey },
+    outwardIssue: { key: toKey }
+  });
+}
+
+/* =========================
+   TRANSITIONS
+========================= */
+
+// Moves the issue to the status called `statusName` (or through the
+// transition of that name). Returns false when it is already there.
+export async function transitionIssue(issueKey, statusName) {
+  const wanted = String(statusName).toLowerCase();
+
+  const { data: issue } = await jira.get(`/issue/${issueKey}`, {
+    params: { fields: "status" }
+  });
+  if (issue.fields?.status?.name?.toLowerCase() === wanted) return false;
+
+  const { data } = await jira.get(`/issue/${issueKey}/transitions`);
+  const transition = data.transitions.find(
+    t => t.to?.name?.toLowerCase() === wanted || t.name.toLowerCase() === wanted
+  );
+
+  if (!transition) {
+    const available = data.transitions.map(t => t.to?.name || t.name).join(", ");
+    throw new Error(`No transition to '${statusName}' for ${issueKey} (available: ${available || "none"})`);
+  }
+
+  await jira.post(`/issue/${issueKey}/transitions`, {
+    transition: { id: transition.id }
+  });
+  return true;
+}
+
+// Comment, then move to JIRA_RESOLVED_STATUS
+export async function resolveJiraTicket(issueKey, comment) {
+  if (comment) await addJiraComment(issueKey, comment);
+  return transitionIssue(issueKey, JIRA_RESOLVED_STATUS);
+}
+
+/* =========================
+   DEDUPLICATION
+========================= */
+
+const PRIORITY_ORDER = ["Lowest", "Low", "Medium", "High", "Highest"];
+
+// Newest open (not Done) issue in the project carrying every label
+export async function findOpenTicket(labels, project = JIRA_PROJECT_KEY) {
+  const jql = [
+    `project = "${project}"`,
+    ...labels.map(label => `labels = "${label}"`),
+    "statusCategory != Done"
+  ].join(" AND ") + " ORDER BY created DESC";
+
+  const res = await jira.post("/search/jql", {
+    jql,
+    fields: ["priority", "status"],
+    maxResults: 1
+  });
+
+  return res.data.issues?.[0] || null;
+}
+
+// Only ever raises: a lower-severity repeat leaves the priority alone
+export async function raisePriority(issue, priority) {
+  const current = PRIORITY_ORDER.indexOf(issue.fields?.priority?.name);
+  if (PRIORITY_ORDER.indexOf(priority) <= current) return false;
+
+  await jira.put(`/issue/${issue.key}`, {
+    fields: { priority: { name: priority } }
+  });
+  return true;
+}
+
+// Comments on the open ticket matching dedupLabels instead of opening a
+// new one. occurrence = { severity, issue, description } of this alert.
+// Returns { key, deduplicated, priority_raised? }
+export async function createOrUpdateJiraTicket(ticket, { dedupLabels, occurrence = {} }) {
+  const project = ticket.project || jiraRouteFor(ticket.service).project;
+
+  if (!project) {
+    throw new Error("JIRA_PROJECT env var missing");
+  }
+
+  let existing = null;
+  try {
+    existing = await findOpenTicket(dedupLabels, project);
+  } catch (e) {
+    // A failed search must not swallow the alert – open a new ticket
+    log.error("Jira duplicate search failed", { error: e });
+  }
+
+  if (!existing) {
+    return { key: await createJiraTicket(ticket), deduplicated: false };
+  }
+
+  await addJiraComment(
+    existing.key,
+    `New occurrence at ${new Date().toISOString()}
+
+Severity: ${occurrence.severity || "unknown"}
+Issue: ${occurrence.issue || "unknown"}
+Request ID: ${correlationId() || "unknown"}
+
+${occurrence.description || ""}`.trim()
+  );
+
+  const priorityRaised = await raisePriority(existing, ticket.priority);
+  log.info("Jira ticket updated instead of opening a duplicate", { jira_ticket: existing.key });
+
+  return { key: existing.key, deduplicated: true, priority_raised: priorityRaised };
+}
+
+/* =========================
+   COMMENTS
+========================= */
+
+export async function addJiraComment(issueKey, body) {
+  await jira.post(`/issue/${issueKey}/comment`, {
+    body: typeof body === "string" ? toADF(body) : body
+  });
+}
+
+/* =========================
+   WEBHOOK VERIFICATION
+========================= */
+
+// Jira sends `X-Hub-Signature: sha256=<hmac of raw body>` when a secret is
+// set on the webhook. Automation rules can't sign, so a `?secret=` token
+// in the webhook URL is accepted as well.
+export function verifyJiraWebhook({ rawBody, signature, token }) {
+  if (!JIRA_WEBHOOK_SECRET) return false;
+
+  if (signature) {
+    const expected =
+      "sha256=" +
+      crypto.createHmac("sha256", JIRA_WEBHOOK_SECRET).update(rawBody || "").digest("hex");
+    return safeEqual(signature, expected);
+  }
+
+  return typeof token === "string" && safeEqual(token, JIRA_WEBHOOK_SECRET);
+}
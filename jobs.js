@@ -0,0 +1,329 @@
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { createJsonStore } from "./store.js";
+import { recordAudit, ruleIdsOf } from "./audit.js";
+import { signPayload, callerSecret } from "./auth.js";
+import { resilient } from "./outbound.js";
+import { log, correlationId, withCorrelation } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Async jobs: accept now, remediate in the background
+// ------------------------------------------------------------------
+
+/*
+Record (keyed by job id):
+{
+  id, status: "queued" | "running" | "succeeded" | "failed",
+  caller: { id, scopes }, request: { ...POST / body }, dry_run,
+  callback_url, created_at, started_at, finished_at,
+  request_id,                            // correlation id of the submitting request
+  http_status, result,                   // what POST / would have returned
+  callback: { status: "delivered" | "failed", http_status?, error?, at }
+}
+
+The job "succeeds" when remediation returned < 400 – the result can still
+be e.g. "partial" or "pending_approval".
+
+Callbacks are POSTed as JSON { job_id, status, http_status, result } and
+signed like requests to this API (X-TP-Timestamp / X-TP-Signature, see
+auth.js) with JOB_CALLBACK_SECRET, or the caller's own HMAC secret.
+The job runs – and logs – under the request id it was submitted with.
+
+JOB_CONCURRENCY     jobs processed at once (default 2)
+JOB_TTL_HOURS       finished jobs are forgotten after this (default 24)
+JOB_CALLBACK_HOSTS  hosts callbacks may go to, comma separated;
+                    "*.example.com" covers subdomains. Without it any
+                    host is allowed except loopback, private, link-local
+                    (cloud metadata) and CGNAT addresses – checked again
+                    on the resolved address before each callback.
+*/
+
+const JOB_CONCURRENCY = Math.max(Number(process.env.JOB_CONCURRENCY || 2), 1);
+const JOB_TTL_MS = Number(process.env.JOB_TTL_HOURS || 24) * 3600 * 1000;
+const JOB_CALLBACK_SECRET = process.env.JOB_CALLBACK_SECRET;
+const JOB_CALLBACK_HOSTS = (process.env.JOB_CALLBACK_HOSTS || "")
+  .split(",")
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean);
+
+const jobStore = createJsonStore("jobs");
+
+// Callback receivers dedupe on job_id, so retrying the POST is safe.
+// Redirects are not followed: a 3xx could point anywhere, past the host
+// checks below.
+const callbackClient = resilient("callback", axios.create({ maxRedirects: 0 }), { retryPost: true });
+
+const queue = [];
+let running = 0;
+let execute = null;
+
+export class JobError extends Error {}
+
+function signingSecret(caller) {
+  return JOB_CALLBACK_SECRET || callerSecret(caller?.id);
+}
+
+/* ---------- callback hosts ---------- */
+
+const INTERNAL_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16]
+]) {
+  INTERNAL_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127], // unspecified + loopback
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["fc00::", 7],
+  ["fe80::", 10]
+]) {
+  INTERNAL_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+function isInternalAddress(address) {
+  const version = net.isIP(address);
+  return version !== 0 && INTERNAL_RANGES.check(address, version === 6 ? "ipv6" : "ipv4");
+}
+
+function allowedHost(hostname) {
+  return JOB_CALLBACK_HOSTS.some(entry =>
+    entry.startsWith("*.") ? hostname.endsWith(entry.slice(1)) : hostname === entry
+  );
+}
+
+// URL hostnames keep IPv6 brackets: "[::1]"
+const bareHost = url => url.hostname.replace(/^\[|\]$/g, "");
+
+function checkCallbackHost(url) {
+  const host = bareHost(url);
+
+  if (JOB_CALLBACK_HOSTS.length > 0) {
+    if (!allowedHost(host)) throw new JobError(`callback_url host '${host}' is not in JOB_CALLBACK_HOSTS`);
+    return;
+  }
+  if (host === "localhost" || host.endsWith(".localhost") || isInternalAddress(host)) {
+    throw new JobError(`callback_url host '${host}' is an internal address`);
+  }
+}
+
+// Before each callback: jobs may predate the current settings, and a
+// public name can still resolve to an internal address. Returns the
+// checked address to connect to (null: connect as usual), so DNS can't
+// change its answer between the check and the POST.
+async function checkResolvedHost(url) {
+  checkCallbackHost(url);
+  if (JOB_CALLBACK_HOSTS.length > 0) return null;
+
+  const host = bareHost(url);
+  if (net.isIP(host)) return null;
+
+  const addresses = await dns.promises.lookup(host, { all: true });
+  const internal = addresses.find(({ address }) => isInternalAddress(address));
+  if (internal) throw new JobError(`callback_url host '${host}' resolves to internal address ${internal.address}`);
+
+  return addresses[0];
+}
+
+// Agent whose connections go to `pinned` whatever the hostname; TLS still
+// verifies the certificate against the URL's host
+function pinnedAgent(url, { address, family }) {
+  const lookup = (hostname, options, callback) =>
+    options?.all ? callback(null, [{ address, family }]) : callback(null, address, family);
+
+  return url.protocol === "https:" ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+function validateCallbackUrl(callbackUrl, caller) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    throw new JobError(`Invalid callback_url '${callbackUrl}'`);
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new JobError("callback_url must be http(s)");
+  }
+  checkCallbackHost(url);
+  if (!signingSecret(caller)) {
+    throw new JobError("callback_url needs JOB_CALLBACK_SECRET or an HMAC credential to sign callbacks");
+  }
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+
+  for (const [id, job] of jobStore.entries()) {
+    if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) jobStore.delete(id);
+  }
+}
+
+// Public view of a job (never exposes the stored caller scopes)
+export function describeJob(job) {
+  const { caller, ...rest } = job;
+  return { ...rest, caller: caller?.id || null };
+}
+
+export function getJob(id) {
+  return jobStore.get(id);
+}
+
+// Throws JobError when the callback can't be honoured
+export function submitJob(request, { caller, dryRun = false }) {
+  const { callback_url: callbackUrl, async: _async, ...body } = request;
+  if (callbackUrl) validateCallbackUrl(callbackUrl, caller);
+
+  pruneFinishedJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    caller: { id: caller?.id, scopes: caller?.scopes || [] },
+    request: body,
+    dry_run: dryRun,
+    callback_url: callbackUrl || null,
+    created_at: new Date().toISOString(),
+    request_id: correlationId()
+  };
+
+  jobStore.set(job.id, job);
+  queue.push(job.id);
+  setImmediate(drain);
+
+  return job;
+}
+
+/* ---------- worker ---------- */
+
+function drain() {
+  while (execute && running < JOB_CONCURRENCY && queue.length > 0) {
+    const id = queue.shift();
+    running++;
+    runJob(id)
+      .catch(e => log.error("Job crashed", { job_id: id, error: e }))
+      .finally(() => {
+        running--;
+        drain();
+      });
+  }
+}
+
+async function runJob(id) {
+  const job = jobStore.get(id);
+  if (!job || job.status !== "queued") return;
+
+  return withCorrelation(job.request_id, () => executeJob(job));
+}
+
+async function executeJob(job) {
+  const { id } = job;
+
+  jobStore.set(id, { ...job, status: "running", started_at: new Date().toISOString() });
+  log.info("Job running", { job_id: id, action: job.request.action });
+
+  let outcome;
+  try {
+    outcome = await execute(job.request, { caller: job.caller, dryRun: job.dry_run });
+  } catch (e) {
+    outcome = { httpStatus: 500, body: { status: "error", details: e.message } };
+  }
+
+  const finished = {
+    ...jobStore.get(id),
+    status: outcome.httpStatus < 400 ? "succeeded" : "failed",
+    finished_at: new Date().toISOString(),
+    http_status: outcome.httpStatus,
+    result: outcome.body
+  };
+  jobStore.set(id, finished);
+
+  recordAudit({
+    source: "job",
+    job_id: id,
+    caller: job.caller.id || null,
+    raw_action: job.request.action ?? null,
+    action: outcome.body?.action ?? null,
+    severity: job.request.severity ?? null,
+    target: job.request.target || {},
+    issue: job.request.issue ?? null,
+    outcome: outcome.body?.status || (finished.status === "failed" ? "error" : "success"),
+    http_status: outcome.httpStatus,
+    rule_ids: ruleIdsOf(outcome.body),
+    jira_keys: outcome.body?.jira_ticket ? [outcome.body.jira_ticket] : [],
+    details: outcome.body?.error || outcome.body?.details || null
+  });
+
+  if (finished.callback_url) await sendCallback(finished);
+}
+
+async function sendCallback(job) {
+  const body = JSON.stringify({
+    job_id: job.id,
+    status: job.status,
+    http_status: job.http_status,
+    result: job.result
+  });
+
+  let callback;
+  try {
+    const url = new URL(job.callback_url);
+    const pinned = await checkResolvedHost(url);
+    const agent = pinned && pinnedAgent(url, pinned);
+
+    const res = await callbackClient.post(job.callback_url, body, {
+      ...(agent && { httpAgent: agent, httpsAgent: agent }),
+      headers: {
+        "Content-Type": "application/json",
+        "X-TP-Job-Id": job.id,
+        ...signPayload(body, signingSecret(job.caller))
+      }
+    });
+    callback = { status: "delivered", http_status: res.status, at: new Date().toISOString() };
+  } catch (e) {
+    log.error("Job callback failed", { job_id: job.id, error: e });
+    callback = {
+      status: "failed",
+      http_status: e.response?.status,
+      error: e.message,
+      at: new Date().toISOString()
+    };
+  }
+
+  jobStore.set(job.id, { ...jobStore.get(job.id), callback });
+}
+
+// executeFn(request, { caller, dryRun }) → { httpStatus, body }.
+// Queued jobs from before a restart are picked up again; jobs that were
+// mid-run are failed rather than repeated, since the remediation may
+// already have happened.
+export function startJobWorker(executeFn) {
+  execute = executeFn;
+
+  for (const [id, job] of jobStore.entries()) {
+    if (job.status === "queued") {
+      queue.push(id);
+    } else if (job.status === "running") {
+      const failed = {
+        ...job,
+        status: "failed",
+        finished_at: new Date().toISOString(),
+        http_status: 500,
+        result: { status: "error", details: "Interrupted by a restart – check the target before resubmitting" }
+      };
+      jobStore.set(id, failed);
+      if (failed.callback_url) withCorrelation(failed.request_id, () => sendCallback(failed));
+    }
+  }
+
+  drain();
+}
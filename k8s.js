@@ -0,0 +1,260 @@
+import axios from "axios";
+import fs from "fs";
+import https from "https";
+import { resilient } from "./outbound.js";
+
+/* =========================
+   ENV
+========================= */
+
+const SA_DIR = "/var/run/secrets/kubernetes.io/serviceaccount";
+
+const K8S_API_URL = process.env.K8S_API_URL || "https://kubernetes.default.svc";
+const K8S_TOKEN = process.env.K8S_TOKEN || readIfExists(`${SA_DIR}/token`);
+const K8S_CA = readIfExists(process.env.K8S_CA_FILE || `${SA_DIR}/ca.crt`);
+const K8S_SKIP_TLS_VERIFY = process.env.K8S_INSECURE_SKIP_TLS_VERIFY === "true";
+const K8S_DEFAULT_NAMESPACE = process.env.K8S_DEFAULT_NAMESPACE || "default";
+
+function readIfExists(file) {
+  try {
+    return fs.readFileSync(file, "utf8").trim();
+  } catch {
+    return undefined;
+  }
+}
+
+/* =========================
+   SERVICE MAP
+========================= */
+
+/*
+K8S_SERVICES (JSON) or K8S_SERVICES_FILE (path to JSON):
+{
+  "checkout": { "namespace": "shop", "kind": "Deployment", "name": "checkout-api" }
+}
+Services not listed fall back to a Deployment of the same name in
+K8S_DEFAULT_NAMESPACE. An unreadable or invalid map stops the service at
+startup: falling back would aim approved actions at the wrong workload.
+*/
+
+const SERVICE_MAP = loadServiceMap();
+
+function loadServiceMap() {
+  const file = process.env.K8S_SERVICES_FILE;
+  const raw = file ? fs.readFileSync(file, "utf8") : process.env.K8S_SERVICES;
+
+  if (!raw) return {};
+
+  let map;
+  try {
+    map = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid ${file ? `K8S_SERVICES_FILE ${file}` : "K8S_SERVICES"}: ${e.message}`);
+  }
+
+  if (!map || typeof map !== "object" || Array.isArray(map)) {
+    throw new Error("K8S_SERVICES must be a JSON object keyed by service name");
+  }
+  return map;
+}
+
+// DNS-1123 subdomain: what Kubernetes accepts for node, namespace and
+// workload names. Service and node names come from requests, so nothing
+// else reaches an API path or field selector.
+export const K8S_NAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/;
+
+function assertK8sName(field, value) {
+  if (typeof value !== "string" || !K8S_NAME_PATTERN.test(value)) {
+    throw new Error(`Invalid ${field} '${value}': must be a DNS-1123 name`);
+  }
+  return value;
+}
+
+const KIND_PATHS = {
+  Deployment: "deployments",
+  StatefulSet: "statefulsets"
+};
+
+export function resolveWorkload(service) {
+  assertK8sName("service", service);
+
+  const entry = Object.hasOwn(SERVICE_MAP, service) ? SERVICE_MAP[service] : {};
+  const workload = {
+    namespace: assertK8sName("namespace", entry.namespace || K8S_DEFAULT_NAMESPACE),
+    kind: entry.kind || "Deployment",
+    name: assertK8sName("workload name", entry.name || service)
+  };
+
+  if (!Object.hasOwn(KIND_PATHS, workload.kind)) {
+    throw new Error(`Unsupported workload kind '${workload.kind}' for ${service}`);
+  }
+
+  return workload;
+}
+
+function workloadPath({ namespace, kind, name }) {
+  return `/apis/apps/v1/namespaces/${encodeURIComponent(namespace)}/${KIND_PATHS[kind]}/${encodeURIComponent(name)}`;
+}
+
+/* =========================
+   K8S CLIENT
+========================= */
+
+const k8s = resilient("k8s", axios.create({
+  baseURL: K8S_API_URL,
+  headers: K8S_TOKEN ? { "Authorization": `Bearer ${K8S_TOKEN}` } : {},
+  httpsAgent: new https.Agent({
+    ca: K8S_CA,
+    rejectUnauthorized: !K8S_SKIP_TLS_VERIFY
+  })
+}));
+
+// An explicit API URL counts too: e.g. `kubectl proxy` needs no token
+export function k8sConfigured() {
+  return Boolean(K8S_TOKEN || process.env.K8S_API_URL);
+}
+
+const MERGE_PATCH = { headers: { "Content-Type": "application/merge-patch+json" } };
+const JSON_PATCH = { headers: { "Content-Type": "application/json-patch+json" } };
+
+/* =========================
+   RESTART (rollout restart)
+========================= */
+
+export async function restartWorkload(service) {
+  const workload = resolveWorkload(service);
+  const restartedAt = new Date().toISOString();
+
+  await k8s.patch(
+    workloadPath(workload),
+    {
+      spec: {
+        template: {
+          metadata: { annotations: { "kubectl.kubernetes.io/restartedAt": restartedAt } }
+        }
+      }
+    },
+    MERGE_PATCH
+  );
+
+  return { ...workload, restarted_at: restartedAt };
+}
+
+/* =========================
+   SCALE
+========================= */
+
+export async function scaleWorkload(service, replicas) {
+  if (!Number.isInteger(replicas) || replicas < 0) {
+    throw new Error(`Invalid replicas '${replicas}' for ${service}`);
+  }
+
+  const workload = resolveWorkload(service);
+  const res = await k8s.get(`${workloadPath(workload)}/scale`);
+  const previous = res.data.spec?.replicas;
+
+  await k8s.patch(`${workloadPath(workload)}/scale`, { spec: { replicas } }, MERGE_PATCH);
+
+  return { ...workload, previous_replicas: previous, replicas };
+}
+
+/* =========================
+   ROLLBACK (previous ReplicaSet)
+========================= */
+
+const REVISION = "deployment.kubernetes.io/revision";
+
+export async function rollbackWorkload(service) {
+  const workload = resolveWorkload(service);
+
+  if (workload.kind !== "Deployment") {
+    throw new Error(`Rollback is only supported for Deployments (${service} is a ${workload.kind})`);
+  }
+
+  const { data: deployment } = await k8s.get(workloadPath(workload));
+  const currentRevision = Number(deployment.metadata.annotations?.[REVISION] || 0);
+
+  const labelSelector = Object.entries(deployment.spec.selector?.matchLabels || {})
+    .map(([k, v]) => `${k}=${v}`)
+    .join(",");
+
+  const { data: rsList } = await k8s.get(
+    `/apis/apps/v1/namespaces/${encodeURIComponent(workload.namespace)}/replicasets`,
+    { params: { labelSelector } }
+  );
+
+  const previous = rsList.items
+    .filter(rs => rs.metadata.ownerReferences?.some(o => o.uid === deployment.metadata.uid))
+    .map(rs => ({ rs, revision: Number(rs.metadata.annotations?.[REVISION] || 0) }))
+    .filter(({ revision }) => revision < currentRevision)
+    .sort((a, b) => b.revision - a.revision)[0];
+
+  if (!previous) {
+    throw new Error(`No previous revision to roll back to for ${service}`);
+  }
+
+  // Same as `kubectl rollout undo`: reuse the old pod template, minus the
+  // hash label the ReplicaSet controller adds.
+  const template = structuredClone(previous.rs.spec.template);
+  delete template.metadata?.labels?.["pod-template-hash"];
+
+  await k8s.patch(
+    workloadPath(workload),
+    [{ op: "replace", path: "/spec/template", value: template }],
+    JSON_PATCH
+  );
+
+  return {
+    ...workload,
+    from_revision: currentRevision,
+    to_revision: previous.revision,
+    replicaset: previous.rs.metadata.name
+  };
+}
+
+/* =========================
+   DRAIN
+========================= */
+
+// Node drain: cordon, then evict every pod that isn't owned by a DaemonSet
+// or a static (mirror) pod. Evictions refused by a PodDisruptionBudget
+// (429) are reported, not retried.
+export async function drainNode(node) {
+  assertK8sName("node", node);
+
+  await k8s.patch(`/api/v1/nodes/${encodeURIComponent(node)}`, { spec: { unschedulable: true } }, MERGE_PATCH);
+
+  const { data: pods } = await k8s.get("/api/v1/pods", {
+    params: { fieldSelector: `spec.nodeName=${node}` }
+  });
+
+  const evicted = [];
+  const blocked = [];
+
+  for (const pod of pods.items) {
+    const { name, namespace, annotations = {}, ownerReferences = [] } = pod.metadata;
+
+    if (annotations["kubernetes.io/config.mirror"]) continue;
+    if (ownerReferences.some(o => o.kind === "DaemonSet")) continue;
+
+    try {
+      await k8s.post(`/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(name)}/eviction`, {
+        apiVersion: "policy/v1",
+        kind: "Eviction",
+        metadata: { name, namespace }
+      }, { retry: false });
+      evicted.push(`${namespace}/${name}`);
+    } catch (e) {
+      if (e.response?.status !== 429) throw e;
+      blocked.push(`${namespace}/${name}`);
+    }
+  }
+
+  return { node, cordoned: true, evicted, blocked_by_pdb: blocked };
+}
+
+// Service drain: take the workload to zero replicas
+export async function drainWorkload(service) {
+  const result = await scaleWorkload(service, 0);
+  return { ...result, drained: true };
+}
@@ -0,0 +1,189 @@
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+import { parseDuration } from "./offenders.js";
+import { loadConfig, matchesAny } from "./util.js";
+
+// ------------------------------------------------------------------
+// Blast-radius limits: hold actions for a human once a limit trips
+// ------------------------------------------------------------------
+
+/*
+BLAST_RADIUS_LIMITS (JSON) or BLAST_RADIUS_LIMITS_FILE (YAML/JSON):
+
+limits:
+  - name: ip-blocks                   # shown in escalations (optional)
+    match: { action: block }          # action, caller, target_type
+    per: [caller]                     # separate counter per caller
+    max: 50
+    window: 5m
+  - match: { action: [restart, rollback, drain] }
+    max: 10
+    window: 1h
+
+A match key holds one value or a list; missing keys match anything.
+target_type is the block target type (ip, ip6, ip_range, asn, country),
+or service / node for service actions. Every request that passes
+validation and policy counts (dry runs and list_blocked don't), whether
+or not it ends up changing anything. Without configuration nothing is
+limited.
+
+Actions that would go over a limit are not run: they are held, and the
+limit "trips". While tripped every matching request is held too – an
+agent bug doesn't resume on its own when the window rolls over – until
+the held actions are released or discarded (/held-actions). Counters
+are in memory; held actions and trips survive restarts.
+*/
+
+const LIMITS = loadLimits();
+
+const held = createJsonStore("held-actions"); // id -> { id, key, limit, action, caller, target_type, request, request_id, held_at }
+const trips = createJsonStore("limit-trips"); // key -> { key, limit, tripped_at, jira_key? }
+
+const counters = new Map(); // key -> [timestamps]
+
+function loadLimits() {
+  const config = loadConfig("BLAST_RADIUS_LIMITS");
+
+  return (config.limits || []).map((limit, i) => {
+    if (!Number.isInteger(limit.max) || limit.max < 0) {
+      throw new Error(`Blast-radius limit #${i + 1}: 'max' must be a non-negative integer`);
+    }
+    const minutes = parseDuration(limit.window || "5m");
+    if (minutes === 0) throw new Error(`Blast-radius limit #${i + 1}: 'window' can't be permanent`);
+
+    return {
+      name: limit.name || `limit-${i + 1}`,
+      match: limit.match || {},
+      per: [].concat(limit.per || []),
+      max: limit.max,
+      window: limit.window || "5m",
+      windowMs: minutes * 60000
+    };
+  });
+}
+
+// subject = { action, caller, target_type }
+function applies(limit, subject) {
+  return Object.entries(limit.match).every(([key, expected]) => matchesAny(expected, subject[key]));
+}
+
+// Counter key, e.g. "ip-blocks" or "ip-blocks|caller=detector-agent"
+function counterKey(limit, subject) {
+  return [limit.name, ...limit.per.map(dim => `${dim}=${subject[dim] ?? "none"}`)].join("|");
+}
+
+function recent(key, windowMs) {
+  const cutoff = Date.now() - windowMs;
+  const stamps = (counters.get(key) || []).filter(t => t > cutoff);
+  counters.set(key, stamps);
+  return stamps;
+}
+
+/* ---------- admission ---------- */
+
+// Counts the action against every matching limit and returns null, or
+// returns the limit it would break (nothing is counted then):
+// { key, limit: { name, max, window }, tripped: { ... } | null }
+export function checkLimits(subject) {
+  const applicable = LIMITS.filter(limit => applies(limit, subject)).map(limit => ({
+    limit,
+    key: counterKey(limit, subject)
+  }));
+
+  for (const { limit, key } of applicable) {
+    const tripped = trips.get(key);
+    if (tripped || recent(key, limit.windowMs).length >= limit.max) {
+      return { key, limit: describeLimit(limit), tripped: tripped || null };
+    }
+  }
+
+  for (const { key } of applicable) counters.get(key).push(Date.now());
+  return null;
+}
+
+function describeLimit({ name, match, per, max, window }) {
+  return { name, match, per, max, window };
+}
+
+/* ---------- held actions ---------- */
+
+// Returns the held record and whether it tripped the limit (first one)
+export function holdAction(breach, { action, caller, targetType, request, requestId }) {
+  const record = {
+    id: crypto.randomUUID(),
+    key: breach.key,
+    limit: breach.limit.name,
+    action,
+    caller: { id: caller?.id, scopes: caller?.scopes || [] },
+    target_type: targetType,
+    request,
+    request_id: requestId,
+    held_at: new Date().toISOString()
+  };
+  held.set(record.id, record);
+
+  const first = !trips.get(breach.key);
+  if (first) {
+    trips.set(breach.key, { key: breach.key, limit: breach.limit, tripped_at: record.held_at });
+  }
+
+  return { record, first };
+}
+
+export function updateTrip(key, fields) {
+  const trip = trips.get(key);
+  if (trip) trips.set(key, { ...trip, ...fields });
+}
+
+export function getTrip(key) {
+  return trips.get(key);
+}
+
+// Oldest first; key narrows to one tripped counter
+export function listHeld({ key } = {}) {
+  return [...held.entries()]
+    .map(([, record]) => record)
+    .filter(record => !key || record.key === key)
+    .sort((a, b) => a.held_at.localeCompare(b.held_at));
+}
+
+// Removes and returns the selected held actions (ids, else key, else all),
+// plus the trips that no longer hold anything – they are cleared, so
+// matching requests run again
+export function takeHeld({ ids, key } = {}) {
+  const selected = ids
+    ? ids.map(id => held.get(id)).filter(Boolean)
+    : listHeld({ key });
+
+  for (const record of selected) held.delete(record.id);
+
+  const remainingKeys = new Set(listHeld().map(record => record.key));
+  const cleared = [...new Set(selected.map(record => record.key))]
+    .filter(k => !remainingKeys.has(k))
+    .map(k => {
+      const trip = trips.get(k);
+      trips.delete(k);
+      counters.delete(k);
+      return trip;
+    })
+    .filter(Boolean);
+
+  return { taken: selected, cleared };
+}
+
+export function limitStatus() {
+  return {
+    limits: LIMITS.map(limit => ({
+      ...describeLimit(limit),
+      counters: Object.fromEntries(
+        [...counters.keys()]
+          .filter(key => key === limit.name || key.startsWith(`${limit.name}|`))
+          .map(key => [key, recent(key, limit.windowMs).length])
+      )
+    })),
+    trips: [...trips.entries()].map(([, trip]) => ({
+      ...trip,
+      held: listHeld({ key: trip.key }).length
+    }))
+  };
+}
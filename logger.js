@@ -0,0 +1,88 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+// ------------------------------------------------------------------
+// Structured logs + correlation ids
+// ------------------------------------------------------------------
+
+/*
+One JSON object per line, warnings and errors on stderr:
+
+{"ts":"2026-01-01T12:00:00.000Z","level":"info","msg":"Temporary block",
+ "request_id":"7f6c…","value":"203.0.113.42","minutes":60}
+
+LOG_LEVEL   debug | info | warn | error (default info)
+
+Every request runs inside withCorrelation(): code called from it – and
+timers or promises it starts – logs its request_id without passing it
+around. Jobs and restored timers re-enter the context with the id they
+stored. correlationId() is what goes into Cloudflare notes, Jira and
+Slack.
+
+Errors passed as fields are logged as { message, code, status, data }
+(status / data from an axios response).
+*/
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// X-Request-Id values we accept as-is; anything else gets a fresh id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+export function withCorrelation(requestId, fn) {
+  return context.run({ requestId }, fn);
+}
+
+export function correlationId() {
+  return context.getStore()?.requestId ?? null;
+}
+
+export function newCorrelationId(requested) {
+  return requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+}
+
+// Express: X-Request-Id in (or generated), X-Request-Id out. Stream
+// callbacks (body parsers) don't keep the context, so mounting it again
+// after them re-enters it with the same id.
+export function correlate(req, res, next) {
+  if (!req.requestId) {
+    req.requestId = newCorrelationId(req.get("X-Request-Id"));
+    res.set("X-Request-Id", req.requestId);
+  }
+  withCorrelation(req.requestId, next);
+}
+
+/* ---------- logging ---------- */
+
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return {
+    message: value.message,
+    ...(value.code && { code: value.code }),
+    ...(value.response && { status: value.response.status, data: value.response.data })
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = { ts: new Date().toISOString(), level, msg };
+  const requestId = correlationId();
+  if (requestId) entry.request_id = requestId;
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
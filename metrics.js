@@ -0,0 +1,73 @@
+import client from "prom-client";
+
+// ------------------------------------------------------------------
+// Prometheus metrics (GET /metrics)
+// ------------------------------------------------------------------
+
+/*
+threatpilot_remediations_total{action,status}          every remediate() decision
+                                                        (API, jobs, playbook steps)
+threatpilot_active_temp_blocks                          pending temporary blocks
+threatpilot_unblock_failures_total{provider}            failed expiry deletes
+threatpilot_jira_tickets_created_total{action,priority}
+threatpilot_slack_delivery_failures_total{kind}
+threatpilot_outbound_request_duration_seconds{service,method,outcome}
+                                                        one observation per attempt
+plus the prom-client default process metrics.
+*/
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+export const remediations = new client.Counter({
+  name: "threatpilot_remediations_total",
+  help: "Remediation requests by normalized action and outcome status",
+  labelNames: ["action", "status"],
+  registers: [registry]
+});
+
+// The store lives in index.js; it registers a reader on startup
+let countActiveTempBlocks = () => 0;
+
+export function trackActiveTempBlocks(reader) {
+  countActiveTempBlocks = reader;
+}
+
+new client.Gauge({
+  name: "threatpilot_active_temp_blocks",
+  help: "Temporary blocks waiting for their unblock timer",
+  registers: [registry],
+  collect() {
+    this.set(countActiveTempBlocks());
+  }
+});
+
+export const unblockFailures = new client.Counter({
+  name: "threatpilot_unblock_failures_total",
+  help: "Temporary block expiries whose rule delete failed (queued for retry)",
+  labelNames: ["provider"],
+  registers: [registry]
+});
+
+export const jiraTicketsCreated = new client.Counter({
+  name: "threatpilot_jira_tickets_created_total",
+  help: "Jira tickets opened, by remediation action and priority",
+  labelNames: ["action", "priority"],
+  registers: [registry]
+});
+
+export const slackFailures = new client.Counter({
+  name: "threatpilot_slack_delivery_failures_total",
+  help: "Slack messages that were not delivered",
+  labelNames: ["kind"],
+  registers: [registry]
+});
+
+export const outboundDuration = new client.Histogram({
+  name: "threatpilot_outbound_request_duration_seconds",
+  help: "Latency of calls to Cloudflare, Jira, Slack and other integrations",
+  labelNames: ["service", "method", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
@@ -0,0 +1,70 @@
+import nodemailer from "nodemailer";
+
+// ------------------------------------------------------------------
+// Email over SMTP
+// ------------------------------------------------------------------
+
+/*
+SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE=true for implicit TLS (465)
+SMTP_USER, SMTP_PASS       optional auth
+NOTIFY_EMAIL_FROM          default threatpilot@<SMTP_HOST>
+NOTIFY_EMAIL_TO            comma separated recipients
+*/
+
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const NOTIFY_EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || `threatpilot@${SMTP_HOST || "localhost"}`;
+const NOTIFY_EMAIL_TO = (process.env.NOTIFY_EMAIL_TO || "")
+  .split(",")
+  .map(s => s.trim())
+  .filter(Boolean);
+
+let transport;
+
+function transporter() {
+  transport ||= nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    })
+  });
+  return transport;
+}
+
+function message({ action, severity, issue, target = {}, description }) {
+  const subject = target.service || target.ip || target.node || "unknown target";
+
+  return {
+    from: NOTIFY_EMAIL_FROM,
+    to: NOTIFY_EMAIL_TO.join(", "),
+    subject: `[ThreatPilot] [${String(severity || "unknown").toUpperCase()}] ${issue || "Alert"} – ${action} ${subject}`,
+    text: `ThreatPilot Alert
+
+Action: ${action}
+Severity: ${severity}
+Issue: ${issue || "unknown"}
+Target: ${JSON.stringify(target, null, 2)}
+
+${description || ""}`.trim()
+  };
+}
+
+export default {
+  name: "email",
+
+  configured() {
+    return Boolean(SMTP_HOST && NOTIFY_EMAIL_TO.length);
+  },
+
+  async send(notification) {
+    const info = await transporter().sendMail(message(notification));
+    return { message_id: info.messageId };
+  },
+
+  plan(notification) {
+    return { smtp: `${SMTP_HOST || "SMTP_HOST"}:${SMTP_PORT}`, ...message(notification) };
+  }
+};
@@ -0,0 +1,111 @@
+import slack from "./slack.js";
+import pagerduty from "./pagerduty.js";
+import teams from "./teams.js";
+import email from "./email.js";
+import webhook from "./webhook.js";
+import { log } from "../logger.js";
+import { loadConfig, matchesAny } from "../util.js";
+
+// ------------------------------------------------------------------
+// Notification router: severity / service / action → channels
+// ------------------------------------------------------------------
+
+/*
+Every channel exposes:
+{
+  name,
+  configured() → bool
+  send(notification) → { ...delivery details }   throws when not delivered
+  plan(notification)                              dry-run description
+}
+notification = { action, raw_action, severity, issue, target, description }
+
+NOTIFY_ROUTES (JSON) or NOTIFY_ROUTES_FILE (YAML/JSON):
+
+routes:                       # first match wins
+  - match: { severity: critical }
+    channels: [pagerduty, slack]
+  - match: { service: payments, action: [drain, rollback] }
+    channels: [pagerduty, teams, email]
+  - match: { severity: [low, medium] }
+    channels: [slack]
+default: [slack]              # when no route matches
+
+A match key holds one value or a list; every key must match. `action`
+matches the normalized action or the alias the agent sent, so
+`action: trigger_alert` can page while `notify_team` only posts to Slack.
+*/
+
+const CHANNELS = Object.fromEntries([slack, pagerduty, teams, email, webhook].map(c => [c.name, c]));
+
+const ROUTING = loadRouting();
+
+function loadRouting() {
+  const config = loadConfig("NOTIFY_ROUTES");
+  const routing = { routes: config.routes || [], default: config.default || ["slack"] };
+
+  for (const name of [...routing.routes.flatMap(r => r.channels || []), ...routing.default]) {
+    if (!CHANNELS[name]) throw new Error(`Unknown notification channel '${name}' in routing`);
+  }
+
+  return routing;
+}
+
+// Returns { route, channels } for a notification
+export function routeNotification({ action, raw_action: rawAction, severity, target = {} }) {
+  const facts = { severity, service: target.service };
+
+  const index = ROUTING.routes.findIndex(route =>
+    Object.entries(route.match || {}).every(([key, expected]) =>
+      key === "action"
+        ? matchesAny(expected, action) || matchesAny(expected, rawAction)
+        : matchesAny(expected, facts[key])
+    )
+  );
+
+  if (index === -1) return { route: "default", channels: ROUTING.default };
+
+  const route = ROUTING.routes[index];
+  return { route: route.name || `routes[${index}]`, channels: route.channels || [] };
+}
+
+/*
+Sends to every routed channel at once. Per channel:
+  { channel, status: "sent" | "failed" | "not_configured", error?, ...details }
+*/
+export async function notify(notification) {
+  const { route, channels } = routeNotification(notification);
+
+  const deliveries = await Promise.all(
+    channels.map(async name => {
+      const channel = CHANNELS[name];
+      if (!channel.configured()) {
+        log.error("Notification channel is not configured", { channel: name });
+        return { channel: name, status: "not_configured" };
+      }
+
+      try {
+        return { channel: name, status: "sent", ...(await channel.send(notification)) };
+      } catch (e) {
+        const error = e.response?.data || e.message;
+        log.error("Notification failed", { channel: name, error: e });
+        return { channel: name, status: "failed", error };
+      }
+    })
+  );
+
+  return { route, deliveries };
+}
+
+export function planNotification(notification) {
+  const { route, channels } = routeNotification(notification);
+
+  return {
+    route,
+    channels: channels.map(name => ({
+      channel: name,
+      configured: CHANNELS[name].configured(),
+      request: CHANNELS[name].plan(notification)
+    }))
+  };
+}
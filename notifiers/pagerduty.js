@@ -0,0 +1,56 @@
+import axios from "axios";
+import { resilient } from "../outbound.js";
+
+// ------------------------------------------------------------------
+// PagerDuty Events API v2
+// ------------------------------------------------------------------
+
+/*
+PAGERDUTY_ROUTING_KEY     integration key of the Events API v2 integration
+PAGERDUTY_EVENTS_URL      default https://events.pagerduty.com/v2/enqueue
+*/
+
+const PAGERDUTY_ROUTING_KEY = process.env.PAGERDUTY_ROUTING_KEY;
+const PAGERDUTY_EVENTS_URL =
+  process.env.PAGERDUTY_EVENTS_URL || "https://events.pagerduty.com/v2/enqueue";
+
+// Events are deduplicated by dedup_key, so a retried POST is harmless
+const pd = resilient("pagerduty", axios.create(), { retryPost: true });
+
+const PD_SEVERITY = { critical: "critical", high: "error", medium: "warning", low: "info" };
+
+function event({ action, severity, issue, target = {}, description }) {
+  const subject = target.service || target.ip || target.node || "unknown target";
+
+  return {
+    routing_key: PAGERDUTY_ROUTING_KEY,
+    event_action: "trigger",
+    // Repeats of the same alert fold into one PagerDuty incident
+    dedup_key: `threatpilot:${action}:${subject}:${issue || "unknown"}`,
+    payload: {
+      summary: `[ThreatPilot] ${issue || "Alert"} – ${action} ${subject}`.slice(0, 1024),
+      source: "threatpilot",
+      severity: PD_SEVERITY[severity] || "warning",
+      ...(target.service && { component: target.service }),
+      custom_details: { action, severity, issue, target, description }
+    }
+  };
+}
+
+export default {
+  name: "pagerduty",
+
+  configured() {
+    return Boolean(PAGERDUTY_ROUTING_KEY);
+  },
+
+  async send(notification) {
+    const res = await pd.post(PAGERDUTY_EVENTS_URL, event(notification));
+    return { dedup_key: res.data?.dedup_key };
+  },
+
+  plan(notification) {
+    const body = event(notification);
+    return { method: "POST", url: PAGERDUTY_EVENTS_URL, body: { ...body, routing_key: "PAGERDUTY_ROUTING_KEY" } };
+  }
+};
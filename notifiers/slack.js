@@ -0,0 +1,20 @@
+import { alertSRESlack, slackAlertMessage, slackConfigured } from "../slack.js";
+
+// ------------------------------------------------------------------
+// Slack channel (incoming webhook, SLACK_WEBHOOK_URL)
+// ------------------------------------------------------------------
+
+export default {
+  name: "slack",
+
+  configured: slackConfigured,
+
+  async send(notification) {
+    await alertSRESlack(notification);
+    return {};
+  },
+
+  plan(notification) {
+    return { method: "POST", url: "SLACK_WEBHOOK_URL", body: slackAlertMessage(notification) };
+  }
+};
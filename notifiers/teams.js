@@ -0,0 +1,63 @@
+import axios from "axios";
+import { resilient } from "../outbound.js";
+
+// ------------------------------------------------------------------
+// Microsoft Teams (Workflows / incoming webhook, Adaptive Card)
+// ------------------------------------------------------------------
+
+const TEAMS_WEBHOOK_URL = process.env.TEAMS_WEBHOOK_URL;
+
+const teams = resilient("teams", axios.create());
+
+function card({ action, severity, issue, target = {}, description }) {
+  const facts = [
+    ["Action", action],
+    ["Severity", severity],
+    ["Issue", issue || "unknown"],
+    ["Service", target.service],
+    ["IP", target.ip],
+    ["Node", target.node]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== "");
+
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            {
+              type: "TextBlock",
+              text: "🚨 ThreatPilot Alert",
+              weight: "Bolder",
+              size: "Medium",
+              color: severity === "critical" || severity === "high" ? "Attention" : "Default"
+            },
+            { type: "FactSet", facts: facts.map(([title, value]) => ({ title, value: String(value) })) },
+            ...(description ? [{ type: "TextBlock", text: description, wrap: true }] : [])
+          ]
+        }
+      }
+    ]
+  };
+}
+
+export default {
+  name: "teams",
+
+  configured() {
+    return Boolean(TEAMS_WEBHOOK_URL);
+  },
+
+  async send(notification) {
+    await teams.post(TEAMS_WEBHOOK_URL, card(notification));
+    return {};
+  },
+
+  plan(notification) {
+    return { method: "POST", url: "TEAMS_WEBHOOK_URL", body: card(notification) };
+  }
+};
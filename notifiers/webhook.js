@@ -0,0 +1,57 @@
+import axios from "axios";
+import { resilient } from "../outbound.js";
+import { signPayload } from "../auth.js";
+
+// ------------------------------------------------------------------
+// Generic signed webhook
+// ------------------------------------------------------------------
+
+/*
+NOTIFY_WEBHOOK_URL      receives the notification as JSON
+NOTIFY_WEBHOOK_SECRET   signs it:
+  X-TP-Timestamp: <unix seconds>
+  X-TP-Signature: sha256=<hex hmac of "<timestamp>.<raw body>">
+Same scheme callers use to sign requests to this API (see auth.js).
+*/
+
+const NOTIFY_WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL;
+const NOTIFY_WEBHOOK_SECRET = process.env.NOTIFY_WEBHOOK_SECRET;
+
+const client = resilient("webhook", axios.create());
+
+function payload(notification) {
+  return {
+    event: "threatpilot.notification",
+    sent_at: new Date().toISOString(),
+    ...notification
+  };
+}
+
+export default {
+  name: "webhook",
+
+  configured() {
+    return Boolean(NOTIFY_WEBHOOK_URL);
+  },
+
+  async send(notification) {
+    const body = JSON.stringify(payload(notification));
+
+    const res = await client.post(NOTIFY_WEBHOOK_URL, body, {
+      headers: {
+        "Content-Type": "application/json",
+        ...(NOTIFY_WEBHOOK_SECRET && signPayload(body, NOTIFY_WEBHOOK_SECRET))
+      }
+    });
+    return { http_status: res.status };
+  },
+
+  plan(notification) {
+    return {
+      method: "POST",
+      url: NOTIFY_WEBHOOK_URL || "NOTIFY_WEBHOOK_URL",
+      signed: Boolean(NOTIFY_WEBHOOK_SECRET),
+      body: payload(notification)
+    };
+  }
+};
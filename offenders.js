@@ -0,0 +1,91 @@
+import { createJsonStore } from "./store.js";
+
+// ------------------------------------------------------------------
+// Repeat offenders: per-target block history → escalating durations
+// ------------------------------------------------------------------
+
+/*
+BLOCK_ESCALATION_SCHEDULE   durations for the 1st, 2nd, ... offense
+                            (default "1h,24h,7d,permanent"; the last entry
+                            repeats for every later offense)
+OFFENSE_DECAY               offenses older than this are forgotten
+                            (default "30d")
+
+Durations: <n>m, <n>h, <n>d, <n>w or "permanent".
+
+Record (keyed by block value, e.g. "203.0.113.42" or "AS13335"):
+{
+  offenses: ["2024-...", ...]   // block times, oldest first
+}
+*/
+
+const UNITS = { m: 1, h: 60, d: 1440, w: 10080 };
+
+// Returns minutes, 0 = permanent
+export function parseDuration(text) {
+  const value = String(text).trim().toLowerCase();
+  if (value === "permanent") return 0;
+
+  const match = value.match(/^(\d+)\s*([mhdw])$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid duration '${text}' (use e.g. 30m, 1h, 7d or permanent)`);
+  }
+  return Number(match[1]) * UNITS[match[2]];
+}
+
+function parseSchedule(value) {
+  const steps = value.split(",").map(s => s.trim()).filter(Boolean).map(parseDuration);
+  if (steps.length === 0) throw new Error("BLOCK_ESCALATION_SCHEDULE is empty");
+  return steps;
+}
+
+const SCHEDULE = parseSchedule(process.env.BLOCK_ESCALATION_SCHEDULE || "1h,24h,7d,permanent");
+const DECAY_MINUTES = parseDuration(process.env.OFFENSE_DECAY || "30d");
+
+const offenders = createJsonStore("offenders");
+
+export function describeDuration(minutes) {
+  if (minutes === 0) return "permanent";
+  if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+// Offenses still inside the decay window (a permanent decay keeps all)
+function recentOffenses(value, now = Date.now()) {
+  const offenses = offenders.get(value)?.offenses || [];
+  if (DECAY_MINUTES === 0) return offenses;
+
+  const cutoff = now - DECAY_MINUTES * 60000;
+  return offenses.filter(at => new Date(at).getTime() > cutoff);
+}
+
+/*
+Duration for the next block of `value`, without recording it:
+{ offense_count, minutes, reason }   minutes: 0 = permanent
+*/
+export function nextBlockDuration(value) {
+  const previous = recentOffenses(value).length;
+  const offenseCount = previous + 1;
+  const minutes = SCHEDULE[Math.min(previous, SCHEDULE.length - 1)];
+
+  const window = DECAY_MINUTES === 0 ? "" : ` in the last ${describeDuration(DECAY_MINUTES)}`;
+  const reason =
+    `${previous === 0 ? "First" : ordinal(offenseCount)} offense${window} → ${describeDuration(minutes)}` +
+    ` (schedule ${SCHEDULE.map(describeDuration).join(", ")})`;
+
+  return { offense_count: offenseCount, minutes, reason };
+}
+
+// Adds a block to the history, dropping offenses that have decayed
+export function recordOffense(value) {
+  const now = Date.now();
+  const offenses = [...recentOffenses(value, now), new Date(now).toISOString()];
+  offenders.set(value, { offenses });
+  return offenses.length;
+}
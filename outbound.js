@@ -0,0 +1,205 @@
+import { outboundDuration } from "./metrics.js";
+import { log, correlationId } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Outbound calls: timeouts, retries with backoff, circuit breakers
+// ------------------------------------------------------------------
+
+/*
+resilient(name, axiosInstance) adds to an axios client:
+
+- a timeout                 <NAME>_TIMEOUT_MS, else OUTBOUND_TIMEOUT_MS (10000)
+- retries                   <NAME>_MAX_RETRIES, else OUTBOUND_MAX_RETRIES (3)
+  with exponential backoff  OUTBOUND_BACKOFF_BASE_MS (500) doubling up to
+  and full jitter           OUTBOUND_BACKOFF_MAX_MS (30000)
+- Retry-After               honoured on 429 / 503 (seconds or HTTP date)
+- a circuit breaker         opens after OUTBOUND_BREAKER_THRESHOLD (5)
+                            consecutive failed calls, fails fast for
+                            OUTBOUND_BREAKER_COOLDOWN_MS (30000), then lets
+                            one trial call through
+
+NAME is the client name upper-cased (CLOUDFLARE_TIMEOUT_MS, JIRA_MAX_RETRIES).
+
+What is retried: network errors, timeouts, 429 and 5xx. POST is not
+idempotent, so it is only retried when the request provably did not run
+(429, 503, connection refused) unless the client opts in with
+{ retryPost: true }. A single request opts out with { retry: false }.
+Only network errors and 5xx count against the breaker: 429 and other
+4xx mean the service is up.
+
+Calls made while handling a request send its correlation id as X-Request-Id.
+*/
+
+const env = (name, key, fallback) =>
+  Number(process.env[`${name.toUpperCase()}_${key}`] ?? process.env[`OUTBOUND_${key}`] ?? fallback);
+
+const BACKOFF_BASE_MS = Number(process.env.OUTBOUND_BACKOFF_BASE_MS || 500);
+const BACKOFF_MAX_MS = Number(process.env.OUTBOUND_BACKOFF_MAX_MS || 30000);
+const BREAKER_THRESHOLD = Number(process.env.OUTBOUND_BREAKER_THRESHOLD || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.OUTBOUND_BREAKER_COOLDOWN_MS || 30000);
+
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} circuit open until ${new Date(retryAt).toISOString()} – skipping call`);
+    this.code = "CIRCUIT_OPEN";
+  }
+}
+
+/* ---------- circuit breakers ---------- */
+
+const breakers = {};
+
+function breakerFor(name) {
+  breakers[name] ||= { failures: 0, openUntil: 0, trial: false };
+  return breakers[name];
+}
+
+// Throws when open; in half-open state only one trial call passes
+function admit(name) {
+  const breaker = breakerFor(name);
+  if (breaker.failures < BREAKER_THRESHOLD) return;
+
+  if (Date.now() < breaker.openUntil || breaker.trial) {
+    throw new CircuitOpenError(name, breaker.openUntil);
+  }
+  breaker.trial = true;
+}
+
+function recordSuccess(name) {
+  const breaker = breakerFor(name);
+  if (breaker.failures >= BREAKER_THRESHOLD) log.info("Circuit closed", { service: name });
+  Object.assign(breaker, { failures: 0, openUntil: 0, trial: false });
+}
+
+function recordFailure(name) {
+  const breaker = breakerFor(name);
+  breaker.failures++;
+  breaker.trial = false;
+
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    log.error("Circuit open", { service: name, cooldown_ms: BREAKER_COOLDOWN_MS, failures: breaker.failures });
+  }
+}
+
+// { name: { state, failures, open_until } } for health / readiness checks
+export function circuitStates() {
+  return Object.fromEntries(
+    Object.entries(breakers).map(([name, b]) => [
+      name,
+      {
+        state: b.failures < BREAKER_THRESHOLD ? "closed" : Date.now() < b.openUntil ? "open" : "half_open",
+        failures: b.failures,
+        open_until: b.openUntil ? new Date(b.openUntil).toISOString() : null
+      }
+    ])
+  );
+}
+
+/* ---------- retry policy ---------- */
+
+// Server or network trouble (as opposed to a request we got wrong)
+function isTransient(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return Boolean(error.code) && error.code !== "ERR_CANCELED";
+}
+
+function isRetryable(error, config, retryPost) {
+  if (config.retry === false || !isTransient(error)) return false;
+
+  const method = String(config.method || "get").toLowerCase();
+  if (IDEMPOTENT_METHODS.includes(method) || retryPost) return true;
+
+  const status = error.response?.status;
+  return status === 429 || status === 503 || NOT_SENT_CODES.includes(error.code);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function retryAfterMs(headers = {}) {
+  const value = headers["retry-after"];
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(at - Date.now(), 0);
+}
+
+// Full jitter: random point in [0, min(max, base * 2^attempt)]
+export function backoffMs(attempt, base = BACKOFF_BASE_MS, max = BACKOFF_MAX_MS) {
+  return Math.round(Math.random() * Math.min(max, base * 2 ** attempt));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/* ---------- axios wiring ---------- */
+
+export function resilient(name, client, { retryPost = false } = {}) {
+  const maxRetries = env(name, "MAX_RETRIES", 3);
+  client.defaults.timeout ||= env(name, "TIMEOUT_MS", 10000);
+
+  const observe = (config, outcome) => {
+    if (!config?.__startedAt) return;
+    outboundDuration.observe(
+      { service: name, method: String(config.method || "get").toUpperCase(), outcome },
+      (Date.now() - config.__startedAt) / 1000
+    );
+  };
+
+  client.interceptors.request.use(config => {
+    // Retries re-enter here too; only the first attempt asks the breaker
+    if (!config.__attempt) admit(name);
+    config.__startedAt = Date.now();
+
+    const requestId = correlationId();
+    if (requestId) config.headers.set("X-Request-Id", requestId, false);
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => {
+      observe(response.config, String(response.status));
+      recordSuccess(name);
+      return response;
+    },
+    async error => {
+      const config = error.config;
+      if (!config || error instanceof CircuitOpenError) throw error;
+
+      observe(config, error.response ? String(error.response.status) : error.code || "error");
+
+      const attempt = config.__attempt || 0;
+
+      if (attempt < maxRetries && isRetryable(error, config, retryPost)) {
+        const delay = Math.min(
+          retryAfterMs(error.response?.headers) ?? backoffMs(attempt),
+          BACKOFF_MAX_MS
+        );
+        log.warn("Outbound call failed, retrying", {
+          service: name,
+          method: String(config.method).toUpperCase(),
+          url: config.url,
+          outcome: error.response?.status || error.code,
+          retry: attempt + 1,
+          max_retries: maxRetries,
+          delay_ms: delay
+        });
+        await sleep(delay);
+        return client.request({ ...config, __attempt: attempt + 1 });
+      }
+
+      const status = error.response?.status;
+      if (!status || status >= 500) recordFailure(name);
+      else recordSuccess(name); // the service answered
+
+      throw error;
+    }
+  );
+
+  return client;
+}
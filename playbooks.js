@@ -0,0 +1,285 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { createJiraTicket, linkIssues, toADF } from "./jira.js";
+import { recordAudit, ruleIdsOf } from "./audit.js";
+import { callerLabel } from "./auth.js";
+import { jiraTicketsCreated } from "./metrics.js";
+import { log } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Playbooks: ordered remediation steps from YAML/JSON files
+// ------------------------------------------------------------------
+
+/*
+PLAYBOOKS_DIR/<name>.yaml (or .yml / .json):
+
+name: block-and-escalate
+steps:
+  - id: block                      # referenced as {{ steps.block.* }}
+    action: block_ip               # any POST / action (aliases allowed)
+    target: { ip: "{{ target.ip }}" }
+    block: true
+  - id: ticket
+    jira: { summary: "...", description: "...", priority: High, labels: [...] }
+                                   # also: service (JIRA_SERVICES routing), project,
+                                   # assignee, components, custom_fields, link_to
+  - id: drain
+    action: drain_service
+    when: { severity: critical }   # scalar = equals, list = one of,
+                                   # { not: ... }, { exists: true|false }
+    on_failure: continue           # default: abort
+on_failure:                        # run once if a step aborted the playbook
+  - action: notify_team
+
+Templates ({{ path }}) see: severity, issue, description, target, vars,
+steps.<id> (that step's response body) and playbook.
+Action steps inherit severity / issue / description / target from the
+run input unless they set their own.
+*/
+
+const PLAYBOOKS_DIR = process.env.PLAYBOOKS_DIR || path.resolve("playbooks");
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const EXTENSIONS = [".yaml", ".yml", ".json"];
+
+export function listPlaybooks() {
+  try {
+    return fs
+      .readdirSync(PLAYBOOKS_DIR)
+      .filter(file => EXTENSIONS.includes(path.extname(file)))
+      .map(file => path.basename(file, path.extname(file)))
+      .sort();
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+// Returns null when no file exists; throws when the file is invalid
+export function loadPlaybook(name) {
+  if (!NAME_PATTERN.test(name)) return null;
+
+  for (const ext of EXTENSIONS) {
+    const file = path.join(PLAYBOOKS_DIR, `${name}${ext}`);
+    if (!fs.existsSync(file)) continue;
+
+    const raw = fs.readFileSync(file, "utf8");
+    const playbook = ext === ".json" ? JSON.parse(raw) : yaml.load(raw);
+    validatePlaybook(playbook, name);
+    return { name, ...playbook };
+  }
+
+  return null;
+}
+
+function validatePlaybook(playbook, name) {
+  if (!playbook || !Array.isArray(playbook.steps) || playbook.steps.length === 0) {
+    throw new Error(`Playbook '${name}' has no steps`);
+  }
+
+  const ids = new Set();
+  for (const [i, step] of [...playbook.steps, ...(playbook.on_failure || [])].entries()) {
+    if (!step.action && !step.jira) {
+      throw new Error(`Playbook '${name}' step ${i + 1} needs an 'action' or 'jira' block`);
+    }
+    if (step.on_failure && !["abort", "continue"].includes(step.on_failure)) {
+      throw new Error(`Playbook '${name}' step ${i + 1}: on_failure must be 'abort' or 'continue'`);
+    }
+    if (step.id && ids.has(step.id)) {
+      throw new Error(`Playbook '${name}' has duplicate step id '${step.id}'`);
+    }
+    if (step.id) ids.add(step.id);
+  }
+}
+
+// ------------------------------------------------------------------
+// Templates + conditions
+// ------------------------------------------------------------------
+
+const TEMPLATE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_TEMPLATE = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+function lookup(context, dottedPath) {
+  return dottedPath.split(".").reduce((value, key) => value?.[key], context);
+}
+
+// "{{ target.replicas }}" keeps the original type; embedded templates
+// are rendered as strings.
+export function renderTemplate(value, context) {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_TEMPLATE);
+    if (whole) return lookup(context, whole[1]);
+
+    return value.replace(TEMPLATE, (_, p) => {
+      const v = lookup(context, p);
+      if (v === undefined || v === null) return "";
+      return typeof v === "object" ? JSON.stringify(v) : String(v);
+    });
+  }
+
+  if (Array.isArray(value)) return value.map(v => renderTemplate(v, context));
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, renderTemplate(v, context)])
+    );
+  }
+
+  return value;
+}
+
+function conditionHolds(expected, actual) {
+  if (Array.isArray(expected)) return expected.some(e => conditionHolds(e, actual));
+
+  if (expected && typeof expected === "object") {
+    if ("not" in expected) return !conditionHolds(expected.not, actual);
+    if ("exists" in expected) return (actual !== undefined && actual !== null) === expected.exists;
+  }
+
+  return String(actual) === String(expected);
+}
+
+export function stepApplies(step, context) {
+  return Object.entries(step.when || {}).every(([p, expected]) =>
+    conditionHolds(expected, lookup(context, p))
+  );
+}
+
+// ------------------------------------------------------------------
+// Runner
+// ------------------------------------------------------------------
+
+const REQUEST_FIELDS = ["severity", "issue", "description", "target"];
+
+async function runJiraStep(step, context, { caller, dryRun }) {
+  const spec = renderTemplate(step.jira, context);
+
+  const ticket = {
+    summary: spec.summary || `[ThreatPilot] Playbook ${context.playbook}`,
+    description: toADF(spec.description || ""),
+    priority: spec.priority || "Medium",
+    issueType: spec.issue_type || "Task",
+    labels: [...new Set(["threatpilot", ...(spec.labels || []), callerLabel(caller)])],
+    service: spec.service ?? context.target?.service,
+    ...(spec.project && { project: spec.project }),
+    ...(spec.assignee && { assignee: spec.assignee }),
+    ...(spec.components && { components: spec.components }),
+    ...(spec.custom_fields && { customFields: spec.custom_fields })
+  };
+  const linkTo = [].concat(spec.link_to || []).filter(Boolean);
+
+  if (dryRun) {
+    return { httpStatus: 200, body: { status: "dry_run", plan: { jira: ticket, link_to: linkTo } } };
+  }
+
+  try {
+    const jiraKey = await createJiraTicket(ticket);
+    jiraTicketsCreated.inc({ action: "playbook", priority: ticket.priority });
+    for (const key of linkTo) await linkIssues(jiraKey, key);
+    return { httpStatus: 200, body: { status: "success", jira_ticket: jiraKey } };
+  } catch (e) {
+    return { httpStatus: 500, body: { status: "error", details: e.response?.data || e.message } };
+  }
+}
+
+async function runStep(step, index, context, options) {
+  const id = step.id || `step-${index + 1}`;
+
+  if (!stepApplies(step, context)) {
+    return { id, status: "skipped", message: "Condition not met" };
+  }
+
+  let outcome;
+  let request;
+
+  if (step.jira) {
+    outcome = await runJiraStep(step, context, options);
+  } else {
+    const { id: _id, when, on_failure, ...fields } = step;
+    const defaults = Object.fromEntries(REQUEST_FIELDS.map(f => [f, context[f]]));
+    request = { ...defaults, ...renderTemplate(fields, context) };
+    outcome = await options.execute(request);
+  }
+
+  const failed = outcome.httpStatus >= 400 || outcome.body?.status === "error";
+  context.steps[id] = outcome.body;
+
+  recordAudit({
+    source: "playbook",
+    playbook: context.playbook,
+    step: id,
+    caller: options.caller?.id || null,
+    raw_action: step.jira ? "jira_ticket" : step.action,
+    action: step.jira ? "jira_ticket" : outcome.body?.action ?? step.action,
+    severity: request?.severity ?? context.severity ?? null,
+    target: request?.target ?? context.target ?? {},
+    issue: request?.issue ?? context.issue ?? null,
+    outcome: outcome.body?.status || (failed ? "error" : "success"),
+    http_status: outcome.httpStatus,
+    rule_ids: ruleIdsOf(outcome.body),
+    jira_keys: outcome.body?.jira_ticket ? [outcome.body.jira_ticket] : [],
+    details: outcome.body?.error || outcome.body?.details || null
+  });
+
+  return {
+    id,
+    type: step.jira ? "jira" : "action",
+    action: step.action,
+    status: failed ? "failed" : "completed",
+    http_status: outcome.httpStatus,
+    result: outcome.body
+  };
+}
+
+/*
+options:
+  execute(request) → { httpStatus, body }   runs one POST / style request
+  caller                                      authenticated caller
+  dryRun                                      plan only
+*/
+export async function runPlaybook(playbook, input = {}, options) {
+  const context = {
+    playbook: playbook.name,
+    severity: input.severity,
+    issue: input.issue,
+    description: input.description,
+    target: input.target || {},
+    vars: input.vars || {},
+    steps: {}
+  };
+
+  const results = [];
+  let aborted = false;
+  let failures = 0;
+
+  for (const [i, step] of playbook.steps.entries()) {
+    if (aborted) {
+      results.push({ id: step.id || `step-${i + 1}`, status: "not_run" });
+      continue;
+    }
+
+    const result = await runStep(step, i, context, options);
+    results.push(result);
+
+    if (result.status === "failed") {
+      failures++;
+      log.error("Playbook step failed", { playbook: playbook.name, step: result.id });
+      if ((step.on_failure || "abort") === "abort") aborted = true;
+    }
+  }
+
+  const onFailure = [];
+  if (aborted) {
+    for (const [i, step] of (playbook.on_failure || []).entries()) {
+      onFailure.push(await runStep({ id: `on_failure-${i + 1}`, ...step }, i, context, options));
+    }
+  }
+
+  return {
+    status: aborted ? "failed" : failures > 0 ? "partial" : "success",
+    playbook: playbook.name,
+    ...(options.dryRun && { dry_run: true }),
+    steps: results,
+    ...(aborted && { on_failure: onFailure })
+  };
+}
@@ -0,0 +1,173 @@
+import fs from "fs";
+import net from "net";
+import path from "path";
+import yaml from "js-yaml";
+import { log } from "./logger.js";
+import { SERVICE_ACTIONS } from "./executor.js";
+
+// ------------------------------------------------------------------
+// Protected-target policy (checked before any action runs)
+// ------------------------------------------------------------------
+
+/*
+POLICY_FILE (YAML/JSON, default ./policy.yaml) – see policy.example.yaml
+
+protected_cidrs:          # never blocked, nor any range overlapping them
+  - name: office-egress
+    cidr: 198.51.100.0/24
+services:                 # forbidden | require_approval (service actions only)
+  payments: forbidden
+  checkout: require_approval
+max_block_minutes:        # per severity; also caps "permanent" blocks
+  high: 10080
+issue_rules:              # first match wins, no match = allow
+  - name: scanners-notify-only
+    issues: [port_scan]   # "*" matches any issue
+    actions: [block]      # omit for every action
+    effect: deny
+
+A missing file means "no restrictions". An unreadable or invalid file
+stops the service at startup rather than running without its policy.
+*/
+
+const POLICY_FILE = process.env.POLICY_FILE || path.resolve("policy.yaml");
+
+const policy = loadPolicy();
+
+function loadPolicy() {
+  if (!fs.existsSync(POLICY_FILE)) {
+    log.warn("No policy file – no protected targets configured", { file: POLICY_FILE });
+    return compile({});
+  }
+
+  const raw = fs.readFileSync(POLICY_FILE, "utf8");
+  const parsed = POLICY_FILE.endsWith(".json") ? JSON.parse(raw) : yaml.load(raw);
+  log.info("Loaded policy", { file: POLICY_FILE });
+  return compile(parsed || {});
+}
+
+function compile(config) {
+  const protectedRanges = (config.protected_cidrs || []).map(entry => {
+    const { name, cidr } = typeof entry === "string" ? { name: entry, cidr: entry } : entry;
+    const [address, prefix] = cidr.split("/");
+    const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+
+    if (!net.isIP(address)) throw new Error(`Invalid protected CIDR '${cidr}'`);
+
+    const list = new net.BlockList();
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+
+    return { name: name || cidr, cidr, address, type, list };
+  });
+
+  for (const [service, mode] of Object.entries(config.services || {})) {
+    if (!["forbidden", "require_approval"].includes(mode)) {
+      throw new Error(`Invalid policy for service '${service}': ${mode}`);
+    }
+  }
+
+  for (const rule of config.issue_rules || []) {
+    if (!["allow", "deny"].includes(rule.effect)) {
+      throw new Error(`Issue rule '${rule.name}' needs effect allow or deny`);
+    }
+  }
+
+  return {
+    protectedRanges,
+    services: config.services || {},
+    maxBlockMinutes: config.max_block_minutes || {},
+    issueRules: config.issue_rules || []
+  };
+}
+
+function ipType(address) {
+  return net.isIPv6(address) ? "ipv6" : net.isIPv4(address) ? "ipv4" : null;
+}
+
+// blockTarget = { type, value } from resolveBlockTarget. A range is refused
+// when it overlaps a protected range in either direction. ASN / country
+// targets can't be checked against CIDRs.
+function protectedRangeFor(blockTarget) {
+  const [address, prefix] = blockTarget.value.split("/");
+  const type = ipType(address);
+  if (!type) return null;
+
+  const requested = new net.BlockList();
+  if (prefix === undefined) {
+    requested.addAddress(address, type);
+  } else {
+    requested.addSubnet(address, Number(prefix), type);
+  }
+
+  return (
+    policy.protectedRanges.find(
+      r => r.list.check(address, type) || (r.type === type && requested.check(r.address, type))
+    ) || null
+  );
+}
+
+function matchesIssue(rule, issue) {
+  const issues = [].concat(rule.issues ?? rule.issue ?? "*");
+  return issues.some(i => i === "*" || String(i).toLowerCase() === String(issue || "").toLowerCase());
+}
+
+/*
+Returns
+  { allowed: false, rule, reason }            → respond with policy_denied
+  { allowed: true, require_approval: bool }
+*/
+export function evaluatePolicy({ action, target = {}, issue, blockTarget }) {
+  if (action === "block" && blockTarget) {
+    const range = protectedRangeFor(blockTarget);
+    if (range) {
+      return {
+        allowed: false,
+        rule: `protected_cidrs:${range.name}`,
+        reason: `${blockTarget.value} overlaps protected range ${range.cidr}`
+      };
+    }
+  }
+
+  // Service rules cover restart / scale / rollback / drain: a notify
+  // about a forbidden service must still page someone
+  const serviceMode =
+    SERVICE_ACTIONS.includes(action) && target.service && Object.hasOwn(policy.services, target.service)
+      ? policy.services[target.service]
+      : undefined;
+
+  if (serviceMode === "forbidden") {
+    return {
+      allowed: false,
+      rule: `services:${target.service}`,
+      reason: `Service ${target.service} may not be touched by automated remediation`
+    };
+  }
+
+  for (const rule of policy.issueRules) {
+    if (rule.actions && !rule.actions.includes(action)) continue;
+    if (!matchesIssue(rule, issue)) continue;
+
+    if (rule.effect === "deny") {
+      return {
+        allowed: false,
+        rule: `issue_rules:${rule.name}`,
+        reason: `Action '${action}' is not allowed for issue '${issue || "unknown"}'`
+      };
+    }
+    break;
+  }
+
+  return { allowed: true, require_approval: serviceMode === "require_approval" };
+}
+
+// Caps a block duration (0 = permanent) to the per-severity maximum
+export function capBlockMinutes(severity, minutes) {
+  const max = Number(policy.maxBlockMinutes[severity]);
+  if (!max) return minutes;
+  if (minutes === 0 || minutes > max) return max;
+  return minutes;
+}
@@ -0,0 +1,169 @@
+// ------------------------------------------------------------------
+// AWS WAFv2 IP set provider
+// ------------------------------------------------------------------
+
+/*
+Blocks by adding addresses to dedicated WAFv2 IP sets that a WAF rule
+already blocks on. IP sets hold CIDRs only, so ASN / country targets are
+not supported here.
+
+AWS_WAF_SCOPE             REGIONAL (default) | CLOUDFRONT
+AWS_WAF_IPV4_SET_ID / AWS_WAF_IPV4_SET_NAME
+AWS_WAF_IPV6_SET_ID / AWS_WAF_IPV6_SET_NAME
+AWS_REGION                (CLOUDFRONT sets always live in us-east-1)
+Credentials come from the default AWS provider chain.
+*/
+
+const AWS_WAF_SCOPE = process.env.AWS_WAF_SCOPE || "REGIONAL";
+
+const IP_SETS = {
+  ipv4: { Id: process.env.AWS_WAF_IPV4_SET_ID, Name: process.env.AWS_WAF_IPV4_SET_NAME },
+  ipv6: { Id: process.env.AWS_WAF_IPV6_SET_ID, Name: process.env.AWS_WAF_IPV6_SET_NAME }
+};
+
+// The SDK is only loaded once the provider is actually used
+let sdk;
+
+async function send(commandName, input) {
+  if (!sdk) {
+    const { WAFV2Client, GetIPSetCommand, UpdateIPSetCommand } = await import("@aws-sdk/client-wafv2");
+    sdk = {
+      client: new WAFV2Client({
+        region: AWS_WAF_SCOPE === "CLOUDFRONT" ? "us-east-1" : process.env.AWS_REGION
+      }),
+      GetIPSet: GetIPSetCommand,
+      UpdateIPSet: UpdateIPSetCommand
+    };
+  }
+
+  return sdk.client.send(new sdk[commandName]({ ...input, Scope: AWS_WAF_SCOPE }));
+}
+
+const SUPPORTED_TYPES = ["ip", "ip6", "ip_range"];
+const LOCK_RETRIES = 3;
+
+const familyOf = value => (value.includes(":") ? "ipv6" : "ipv4");
+
+// WAF wants CIDR notation everywhere, single addresses included
+function toCidr({ value }) {
+  if (value.includes("/")) return value;
+  return `${value}/${familyOf(value) === "ipv6" ? 128 : 32}`;
+}
+
+function fromCidr(cidr) {
+  const [address, bits] = cidr.split("/");
+  if (bits === "32" && familyOf(address) === "ipv4") return { target_type: "ip", value: address };
+  if (bits === "128" && familyOf(address) === "ipv6") return { target_type: "ip6", value: address };
+  return { target_type: "ip_range", value: cidr };
+}
+
+function ipSetFor(family) {
+  const set = IP_SETS[family];
+  if (!set.Id || !set.Name) throw new Error(`AWS WAF ${family} IP set not configured`);
+  return set;
+}
+
+// Read-modify-write with WAF's optimistic lock token, retried on conflicts
+async function updateIPSet(family, change) {
+  const set = ipSetFor(family);
+
+  for (let attempt = 1; ; attempt++) {
+    const { IPSet, LockToken } = await send("GetIPSet", set);
+
+    const addresses = change(IPSet.Addresses);
+    if (!addresses) return false;
+
+    try {
+      await send("UpdateIPSet", { ...set, Addresses: addresses, LockToken });
+      return true;
+    } catch (e) {
+      if (e.name !== "WAFOptimisticLockException" || attempt >= LOCK_RETRIES) throw e;
+    }
+  }
+}
+
+function assertSupported(blockTarget) {
+  if (!SUPPORTED_TYPES.includes(blockTarget.type)) {
+    throw new Error(`AWS WAF IP sets can't block ${blockTarget.type} targets`);
+  }
+}
+
+async function removeCidr(cidr) {
+  return updateIPSet(familyOf(cidr), addresses =>
+    addresses.includes(cidr) ? addresses.filter(a => a !== cidr) : null
+  );
+}
+
+export default {
+  name: "aws_waf",
+
+  supports: blockTarget => SUPPORTED_TYPES.includes(blockTarget.type),
+
+  configured: () => Boolean((IP_SETS.ipv4.Id && IP_SETS.ipv4.Name) || (IP_SETS.ipv6.Id && IP_SETS.ipv6.Name)),
+
+  async block(blockTarget) {
+    assertSupported(blockTarget);
+    const cidr = toCidr(blockTarget);
+
+    await updateIPSet(familyOf(cidr), addresses =>
+      addresses.includes(cidr) ? null : [...addresses, cidr]
+    );
+
+    return { rule_id: cidr };
+  },
+
+  async unblock(blockTarget) {
+    assertSupported(blockTarget);
+    const cidr = toCidr(blockTarget);
+    return (await removeCidr(cidr)) ? { rule_id: cidr } : null;
+  },
+
+  // rule_id is the CIDR itself
+  async removeRule(ruleId) {
+    await removeCidr(ruleId);
+  },
+
+  // The IP sets are dedicated to ThreatPilot, so every entry is ours
+  async list() {
+    const entries = [];
+
+    for (const family of Object.keys(IP_SETS)) {
+      if (!IP_SETS[family].Id) continue;
+
+      const { IPSet } = await send("GetIPSet", ipSetFor(family));
+
+      for (const cidr of IPSet.Addresses) {
+        entries.push({
+          provider: "aws_waf",
+          rule_id: cidr,
+          ...fromCidr(cidr),
+          severity: null,
+          caller: null,
+          created_on: null,
+          notes: `ip-set:${IPSet.Name}`
+        });
+      }
+    }
+
+    return entries;
+  },
+
+  plan(op, blockTarget) {
+    if (op === "list") return [{ service: "wafv2", op: "GetIPSet", scope: AWS_WAF_SCOPE }];
+
+    assertSupported(blockTarget);
+    const cidr = toCidr(blockTarget);
+    const ipSet = IP_SETS[familyOf(cidr)].Name || `<${familyOf(cidr)} set not configured>`;
+
+    return [
+      { service: "wafv2", op: "GetIPSet", ip_set: ipSet, scope: AWS_WAF_SCOPE },
+      {
+        service: "wafv2",
+        op: "UpdateIPSet",
+        ip_set: ipSet,
+        scope: AWS_WAF_SCOPE,
+        [op === "block" ? "add" : "remove"]: [cidr]
+      }
+    ];
+  }
+};
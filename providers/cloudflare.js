@@ -0,0 +1,177 @@
+import axios from "axios";
+import { resilient } from "../outbound.js";
+
+// ------------------------------------------------------------------
+// Cloudflare IP Access Rules provider
+// ------------------------------------------------------------------
+
+const CF_TOKEN = process.env.CLOUDFLARE_API_TOKEN;
+const CF_ZONE = process.env.CLOUDFLARE_ZONE_ID;
+
+// Cloudflare API client
+const CF = resilient("cloudflare", axios.create({
+  baseURL: `https://api.cloudflare.com/client/v4/zones/${CF_ZONE}`,
+  headers: {
+    "Content-Type": "application/json",
+    "Authorization": `Bearer ${CF_TOKEN}`
+  }
+}));
+
+const RULES_PATH = "/firewall/access_rules/rules";
+
+// Not zone scoped, so an absolute URL (axios then ignores baseURL)
+const TOKEN_VERIFY_URL = "https://api.cloudflare.com/client/v4/user/tokens/verify";
+
+// Every rule we create has notes starting with this marker:
+// "ThreatPilot block (<severity>) by <caller> req:<request id>"
+const CF_NOTE_MARKER = "ThreatPilot";
+const NOTE_PATTERN = /^ThreatPilot block \((\w+)\)(?: by (\S+))?(?: req:(\S+))?/;
+
+const isThreatPilotRule = rule => String(rule.notes || "").startsWith(CF_NOTE_MARKER);
+
+// Follows Cloudflare's pagination and returns every matching access rule.
+// params are passed through (mode, configuration.target, configuration.value, ...)
+async function fetchAccessRules(params = {}) {
+  const rules = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const resp = await CF.get(RULES_PATH, {
+      params: { ...params, page, per_page: 100 }
+    });
+
+    rules.push(...resp.data.result);
+    totalPages = resp.data.result_info?.total_pages || 1;
+    page++;
+  } while (page <= totalPages);
+
+  return rules;
+}
+
+function toEntry(rule) {
+  const [, severity, caller, requestId] = String(rule.notes || "").match(NOTE_PATTERN) || [];
+
+  return {
+    provider: "cloudflare",
+    rule_id: rule.id,
+    target_type: rule.configuration.target,
+    value: rule.configuration.value,
+    severity: severity || null,
+    caller: caller || null,
+    request_id: requestId || null,
+    created_on: rule.created_on || null,
+    notes: rule.notes || ""
+  };
+}
+
+function ruleBody(blockTarget, { severity, caller, request_id: requestId }) {
+  return {
+    mode: "block",
+    configuration: { target: blockTarget.type, value: blockTarget.value },
+    notes: `${CF_NOTE_MARKER} block (${severity}) by ${caller}${requestId ? ` req:${requestId}` : ""}`
+  };
+}
+
+// meta.existing_rules: [{ provider, rule_id }] already held for the target
+const existingRuleId = meta =>
+  (meta?.existing_rules || []).find(r => r.provider === "cloudflare")?.rule_id;
+
+export default {
+  name: "cloudflare",
+
+  // Every block target type maps to a Cloudflare configuration target
+  supports: () => true,
+
+  configured: () => Boolean(CF_TOKEN && CF_ZONE),
+
+  // Readiness: the token exists and is active
+  async verify(options) {
+    const resp = await CF.get(TOKEN_VERIFY_URL, options);
+    const status = resp.data.result?.status;
+    return { valid: status === "active", token_status: status };
+  },
+
+  // Cloudflare refuses a second rule for the same target, so a value we
+  // still hold a rule for (temp block being extended or made permanent)
+  // gets that rule updated. A 404 means it is gone: create a new one.
+  async block(blockTarget, meta) {
+    const existing = existingRuleId(meta);
+
+    if (existing) {
+      const { mode, notes } = ruleBody(blockTarget, meta);
+      try {
+        await CF.patch(`${RULES_PATH}/${existing}`, { mode, notes });
+        return { rule_id: existing };
+      } catch (e) {
+        if (e.response?.status !== 404) throw e;
+      }
+    }
+
+    const resp = await CF.post(RULES_PATH, ruleBody(blockTarget, meta));
+    return { rule_id: resp.data.result.id };
+  },
+
+  // Only our own block rules; manual rules and allowlists stay untouched
+  async unblock(blockTarget) {
+    const rules = await fetchAccessRules({
+      mode: "block",
+      "configuration.target": blockTarget.type,
+      "configuration.value": blockTarget.value
+    });
+
+    const rule = rules.find(
+      r =>
+        r.mode === "block" &&
+        isThreatPilotRule(r) &&
+        r.configuration.target === blockTarget.type &&
+        r.configuration.value === blockTarget.value
+    );
+
+    if (!rule) return null;
+
+    await CF.delete(`${RULES_PATH}/${rule.id}`);
+    return { rule_id: rule.id };
+  },
+
+  // Used by temp-block expiry. A 404 means the rule is already gone.
+  async removeRule(ruleId) {
+    try {
+      await CF.delete(`${RULES_PATH}/${ruleId}`);
+    } catch (e) {
+      if (e.response?.status !== 404) throw e;
+    }
+  },
+
+  // { threatpilotOnly: true } keeps only rules carrying our note marker
+  async list({ threatpilotOnly = false } = {}) {
+    const rules = await fetchAccessRules({ mode: "block" });
+
+    return rules
+      .filter(r => r.mode === "block" && (!threatpilotOnly || isThreatPilotRule(r)))
+      .map(toEntry);
+  },
+
+  plan(op, blockTarget, meta) {
+    if (op === "block") {
+      const existing = existingRuleId(meta);
+      if (existing) {
+        const { mode, notes } = ruleBody(blockTarget, meta);
+        return [{ method: "PATCH", path: `${RULES_PATH}/${existing}`, body: { mode, notes } }];
+      }
+      return [{ method: "POST", path: RULES_PATH, body: ruleBody(blockTarget, meta) }];
+    }
+    if (op === "expire") return [{ method: "DELETE", path: `${RULES_PATH}/{rule_id}` }];
+    if (op === "unblock") {
+      return [
+        { method: "GET", path: RULES_PATH, params: { mode: "block" } },
+        {
+          method: "DELETE",
+          path: `${RULES_PATH}/{rule_id}`,
+          match: { target: blockTarget.type, value: blockTarget.value }
+        }
+      ];
+    }
+    return [{ method: "GET", path: RULES_PATH, params: { mode: "block" } }];
+  }
+};
@@ -0,0 +1,94 @@
+import cloudflare from "./cloudflare.js";
+import awsWaf from "./awsWaf.js";
+import local from "./localFirewall.js";
+import { log } from "../logger.js";
+
+// ------------------------------------------------------------------
+// Firewall provider registry + fan-out
+// ------------------------------------------------------------------
+
+/*
+Every provider exposes the same shape:
+{
+  name,
+  supports(blockTarget) → bool        which target types it can block
+  configured() → bool                 env / credentials present
+  verify?(axiosOptions) → { valid }   optional credential check for /ready
+  block(blockTarget, { severity, caller, request_id, existing_rules }) → { rule_id }
+                                      existing_rules: [{ provider, rule_id }]
+                                      still held for the target (temp block)
+  unblock(blockTarget) → { rule_id } | null (not blocked there)
+  removeRule(ruleId)                  temp-block expiry
+  list({ threatpilotOnly }) → [{ provider, rule_id, target_type, value, ... }]
+  plan(op, blockTarget, meta)         dry-run description, op = block | unblock | expire | list
+}
+
+Which providers a request uses: `target.provider` (a name or a list),
+otherwise FIREWALL_PROVIDERS (comma separated, default "cloudflare").
+*/
+
+// A Map, so names from requests ("toString", "__proto__") never hit a prototype
+const PROVIDERS = new Map([cloudflare, awsWaf, local].map(p => [p.name, p]));
+
+export const PROVIDER_NAMES = [...PROVIDERS.keys()];
+
+export const DEFAULT_PROVIDERS = (process.env.FIREWALL_PROVIDERS || "cloudflare")
+  .split(",")
+  .map(s => s.trim())
+  .filter(Boolean);
+
+for (const name of DEFAULT_PROVIDERS) {
+  if (!PROVIDERS.has(name)) {
+    log.error("Unknown firewall provider in FIREWALL_PROVIDERS", { provider: name });
+  } else if (!PROVIDERS.get(name).configured()) {
+    log.error(
+      name === "cloudflare"
+        ? "Missing required Cloudflare env vars (CLOUDFLARE_API_TOKEN, CLOUDFLARE_ZONE_ID)"
+        : "Firewall provider is not configured",
+      { provider: name }
+    );
+  }
+}
+
+export class ProviderError extends Error {}
+
+export function getProvider(name) {
+  const provider = PROVIDERS.get(name);
+  if (!provider) throw new ProviderError(`Unknown firewall provider: ${name}`);
+  return provider;
+}
+
+export function resolveProviders(target = {}) {
+  const names = target.provider ? [].concat(target.provider) : DEFAULT_PROVIDERS;
+  return [...new Set(names)].map(getProvider);
+}
+
+// Runs fn against every provider at once; one provider failing never
+// stops the others. Returns one result per provider.
+async function fanOut(providers, fn) {
+  const settled = await Promise.allSettled(providers.map(fn));
+
+  return settled.map((outcome, i) => {
+    const provider = providers[i].name;
+    if (outcome.status === "fulfilled") return { provider, ...outcome.value };
+
+    const e = outcome.reason;
+    log.error("Firewall provider call failed", { provider, error: e });
+    return { provider, status: "error", error: e.response?.data || e.message };
+  });
+}
+
+export function blockEverywhere(providers, blockTarget, meta) {
+  return fanOut(providers, async p => ({ status: "success", ...(await p.block(blockTarget, meta)) }));
+}
+
+export function unblockEverywhere(providers, blockTarget) {
+  return fanOut(providers, async p => {
+    const removed = await p.unblock(blockTarget);
+    return removed ? { status: "success", ...removed } : { status: "not_found" };
+  });
+}
+
+export function listEverywhere(providers, options) {
+  return fanOut(providers, async p => ({ status: "success", entries: await p.list(options) }));
+}
@@ -0,0 +1,177 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { log } from "../logger.js";
+
+// ------------------------------------------------------------------
+// Local host firewall provider (nftables sets or iptables ipsets)
+// ------------------------------------------------------------------
+
+/*
+Adds blocked addresses to named sets that the host's ruleset already
+drops on. The sets are created by the host setup, not here, e.g.
+
+  nft add table inet threatpilot
+  nft add set inet threatpilot blocked_v4 '{ type ipv4_addr; flags interval; }'
+  nft add set inet threatpilot blocked_v6 '{ type ipv6_addr; flags interval; }'
+
+or, for iptables:
+
+  ipset create threatpilot_v4 hash:net family inet
+  ipset create threatpilot_v6 hash:net family inet6
+
+LOCAL_FIREWALL_BACKEND   nft (default) | ipset
+NFT_FAMILY / NFT_TABLE   inet / threatpilot
+NFT_SET_V4 / NFT_SET_V6  blocked_v4 / blocked_v6
+IPSET_V4 / IPSET_V6      threatpilot_v4 / threatpilot_v6
+
+Needs CAP_NET_ADMIN. Only IP / IPv6 / range targets are supported.
+*/
+
+const run = promisify(execFile);
+
+const BACKEND = process.env.LOCAL_FIREWALL_BACKEND || "nft";
+const NFT_FAMILY = process.env.NFT_FAMILY || "inet";
+const NFT_TABLE = process.env.NFT_TABLE || "threatpilot";
+
+const SETS = BACKEND === "ipset"
+  ? {
+      ipv4: process.env.IPSET_V4 || "threatpilot_v4",
+      ipv6: process.env.IPSET_V6 || "threatpilot_v6"
+    }
+  : {
+      ipv4: process.env.NFT_SET_V4 || "blocked_v4",
+      ipv6: process.env.NFT_SET_V6 || "blocked_v6"
+    };
+
+const SUPPORTED_TYPES = ["ip", "ip6", "ip_range"];
+
+const familyOf = value => (value.includes(":") ? "ipv6" : "ipv4");
+
+// argv for each operation; commands run without a shell
+const COMMANDS = {
+  nft: {
+    bin: "nft",
+    add: (set, value) => ["add", "element", NFT_FAMILY, NFT_TABLE, set, `{ ${value} }`],
+    remove: (set, value) => ["delete", "element", NFT_FAMILY, NFT_TABLE, set, `{ ${value} }`],
+    list: set => ["-j", "list", "set", NFT_FAMILY, NFT_TABLE, set]
+  },
+  ipset: {
+    bin: "ipset",
+    add: (set, value) => ["add", set, value, "-exist"],
+    remove: (set, value) => ["del", set, value, "-exist"],
+    list: set => ["save", set]
+  }
+};
+
+const commands = COMMANDS[BACKEND];
+
+if (!commands) {
+  log.error("Unknown LOCAL_FIREWALL_BACKEND (expected nft or ipset)", { backend: BACKEND });
+}
+
+// nft -j elements are plain strings or { prefix: { addr, len } } / { range: [a, b] }
+function parseNftElements(stdout) {
+  const set = JSON.parse(stdout).nftables.find(item => item.set)?.set;
+
+  return (set?.elem || []).map(e => {
+    const elem = e.elem?.val ?? e;
+    if (typeof elem === "string") return elem;
+    if (elem.prefix) return `${elem.prefix.addr}/${elem.prefix.len}`;
+    if (elem.range) return elem.range.join("-");
+    return String(elem);
+  });
+}
+
+// `ipset save` prints one "add <set> <entry>" line per element
+function parseIpsetElements(stdout) {
+  return stdout
+    .split("\n")
+    .filter(line => line.startsWith("add "))
+    .map(line => line.split(/\s+/)[2]);
+}
+
+async function listSet(family) {
+  const { stdout } = await run(commands.bin, commands.list(SETS[family]));
+  return BACKEND === "ipset" ? parseIpsetElements(stdout) : parseNftElements(stdout);
+}
+
+function assertSupported(blockTarget) {
+  if (!SUPPORTED_TYPES.includes(blockTarget.type)) {
+    throw new Error(`Local firewall can't block ${blockTarget.type} targets`);
+  }
+}
+
+function targetType(value) {
+  if (value.includes("/") || value.includes("-")) return "ip_range";
+  return familyOf(value) === "ipv6" ? "ip6" : "ip";
+}
+
+async function removeValue(value) {
+  const family = familyOf(value);
+  if (!(await listSet(family)).includes(value)) return false;
+
+  await run(commands.bin, commands.remove(SETS[family], value));
+  return true;
+}
+
+export default {
+  name: "local",
+
+  supports: blockTarget => SUPPORTED_TYPES.includes(blockTarget.type),
+
+  configured: () => Boolean(commands),
+
+  // rule_id is the set element itself
+  async block(blockTarget) {
+    assertSupported(blockTarget);
+    const { value } = blockTarget;
+
+    await run(commands.bin, commands.add(SETS[familyOf(value)], value));
+    return { rule_id: value };
+  },
+
+  async unblock(blockTarget) {
+    assertSupported(blockTarget);
+    return (await removeValue(blockTarget.value)) ? { rule_id: blockTarget.value } : null;
+  },
+
+  async removeRule(ruleId) {
+    await removeValue(ruleId);
+  },
+
+  // The sets are dedicated to ThreatPilot, so every element is ours
+  async list() {
+    const entries = [];
+
+    for (const family of Object.keys(SETS)) {
+      for (const value of await listSet(family)) {
+        entries.push({
+          provider: "local",
+          rule_id: value,
+          target_type: targetType(value),
+          value,
+          severity: null,
+          caller: null,
+          created_on: null,
+          notes: `${BACKEND}:${SETS[family]}`
+        });
+      }
+    }
+
+    return entries;
+  },
+
+  plan(op, blockTarget) {
+    if (op === "list") {
+      return Object.values(SETS).map(set => ({ command: [commands.bin, ...commands.list(set)].join(" ") }));
+    }
+
+    assertSupported(blockTarget);
+    const set = SETS[familyOf(blockTarget.value)];
+    const argv = op === "block"
+      ? commands.add(set, blockTarget.value)
+      : commands.remove(set, blockTarget.value);
+
+    return [{ command: [commands.bin, ...argv].join(" ") }];
+  }
+};
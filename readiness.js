@@ -0,0 +1,113 @@
+import { DEFAULT_PROVIDERS, getProvider } from "./providers/index.js";
+import { jiraConfigured, verifyJiraCredentials } from "./jira.js";
+import { slackConfigured } from "./slack.js";
+import { circuitStates } from "./outbound.js";
+import { log } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Readiness: is every integration we depend on usable?
+// ------------------------------------------------------------------
+
+/*
+Checked: the firewall providers in FIREWALL_PROVIDERS, Jira and Slack.
+
+{
+  configured: bool,                      env / credentials present
+  credentials: "valid" | "invalid" | "unreachable" | "not_checked",
+  circuit: "closed" | "open" | "half_open",
+  status: "up" | "down" | "not_configured",
+  required: bool,
+  error?
+}
+
+Credentials are verified where the API has a cheap read (Cloudflare token
+verify, Jira /myself); a Slack webhook can't be checked without posting.
+An open circuit breaker (outbound.js) also counts as down.
+
+READY_REQUIRED          integrations that must be up, comma separated
+                        (default: FIREWALL_PROVIDERS + jira)
+READY_CHECK_TIMEOUT_MS  per credential check (default 3000)
+READY_CACHE_SECONDS     verified credentials are reused this long, so
+                        frequent probes don't hit the APIs (default 30)
+*/
+
+const REQUIRED = (process.env.READY_REQUIRED ?? [...DEFAULT_PROVIDERS, "jira"].join(","))
+  .split(",")
+  .map(s => s.trim())
+  .filter(Boolean);
+
+const CHECK_TIMEOUT_MS = Number(process.env.READY_CHECK_TIMEOUT_MS || 3000);
+const CACHE_MS = Number(process.env.READY_CACHE_SECONDS ?? 30) * 1000;
+
+function integrations() {
+  const firewalls = DEFAULT_PROVIDERS.flatMap(name => {
+    try {
+      const provider = getProvider(name);
+      return [[name, { configured: provider.configured, verify: provider.verify?.bind(provider) }]];
+    } catch {
+      return [[name, { configured: () => false }]];
+    }
+  });
+
+  return [
+    ...firewalls,
+    ["jira", { configured: jiraConfigured, verify: verifyJiraCredentials }],
+    ["slack", { configured: slackConfigured }]
+  ];
+}
+
+/* ---------- credential checks ---------- */
+
+const verified = new Map(); // name -> { expires, promise }
+
+// 4xx: the service answered and refused us; anything else: couldn't ask
+async function verifyCredentials(name, verify) {
+  try {
+    const { valid } = await verify({ timeout: CHECK_TIMEOUT_MS, retry: false });
+    return valid ? { credentials: "valid" } : { credentials: "invalid", error: "Credentials rejected" };
+  } catch (e) {
+    const status = e.response?.status;
+    log.warn("Readiness credential check failed", { integration: name, error: e });
+
+    return status >= 400 && status < 500
+      ? { credentials: "invalid", error: `HTTP ${status}` }
+      : { credentials: "unreachable", error: status ? `HTTP ${status}` : e.code || e.message };
+  }
+}
+
+function cachedVerify(name, verify) {
+  const hit = verified.get(name);
+  if (hit && hit.expires > Date.now()) return hit.promise;
+
+  const promise = verifyCredentials(name, verify);
+  verified.set(name, { expires: Date.now() + CACHE_MS, promise });
+  return promise;
+}
+
+/* ---------- report ---------- */
+
+// → { ready, integrations: { name: { ... } } }
+export async function checkIntegrations() {
+  const circuits = circuitStates();
+
+  const results = await Promise.all(
+    integrations().map(async ([name, { configured, verify }]) => {
+      const required = REQUIRED.includes(name);
+      const circuit = circuits[name]?.state || "closed";
+
+      if (!configured()) {
+        return [name, { configured: false, credentials: "not_checked", circuit, status: "not_configured", required }];
+      }
+
+      const check = verify ? await cachedVerify(name, verify) : { credentials: "not_checked" };
+      const up = check.credentials !== "invalid" && check.credentials !== "unreachable" && circuit !== "open";
+
+      return [name, { configured: true, ...check, circuit, status: up ? "up" : "down", required }];
+    })
+  );
+
+  const report = Object.fromEntries(results);
+  const ready = Object.values(report).every(r => !r.required || r.status === "up");
+
+  return { ready, integrations: report };
+}
@@ -0,0 +1,353 @@
+import Ajv from "ajv";
+import fs from "fs";
+import net from "net";
+import { BLOCK_TARGET_FIELDS } from "./targets.js";
+import { K8S_NAME_PATTERN } from "./k8s.js";
+import { PROVIDER_NAMES } from "./providers/index.js";
+
+// ------------------------------------------------------------------
+// Request schemas (JSON Schema per normalized action) + OpenAPI
+// ------------------------------------------------------------------
+
+/*
+validateRemediation(action, request) checks a POST / body against the
+schema of its normalized action and returns field-level errors:
+
+  [{ field: "target.replicas", message: "must be integer" }]
+
+or null when the body is valid (or the action has no schema – the caller
+reports unknown actions). Extra properties are allowed: callers attach
+context we don't read, and playbook steps pass their own fields through.
+
+Semantic checks stay where they were – targets.js still decides which
+prefix lengths Cloudflare accepts, policy.js what may run at all.
+
+openApiDocument(aliases) publishes the same schemas at GET /openapi.json,
+with every alias normalizeAction accepts listed under its action.
+*/
+
+export const SEVERITIES = ["low", "medium", "high", "critical"];
+
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+
+// Cloudflare only accepts some prefix lengths – targets.js reports those
+ajv.addFormat("ip", value => net.isIP(value) !== 0);
+ajv.addFormat("ipv4-range", value => {
+  const [address, bits] = value.split("/");
+  return net.isIPv4(address) && /^\d{1,2}$/.test(bits ?? "");
+});
+ajv.addFormat("ipv6-or-range", value => {
+  const [address, bits] = value.split("/");
+  return net.isIPv6(address) && (bits === undefined || /^\d{1,3}$/.test(bits));
+});
+
+// DNS-1123 names only: service and node end up in Kubernetes API paths
+ajv.addFormat("k8s-name", K8S_NAME_PATTERN);
+
+/* ---------- shared pieces ---------- */
+
+const common = {
+  severity: {
+    type: "string",
+    enum: SEVERITIES,
+    description: "Drives Jira priority and temporary block durations"
+  },
+  issue: { type: "string", maxLength: 500, description: "Short description of what was detected" },
+  description: { type: "string", description: "Markdown, rendered into the Jira ticket" },
+  dry_run: { type: "boolean", description: "Plan only: return the calls that would be made" },
+  async: { type: "boolean", description: "Queue as a job and answer 202 at once" },
+  callback_url: {
+    type: "string",
+    pattern: "^https?://",
+    description: "Async only: signed POST with the result when the job finishes"
+  }
+};
+
+const providerName = { type: "string", enum: PROVIDER_NAMES };
+
+const provider = {
+  type: ["string", "array"],
+  items: providerName,
+  if: { type: "string" },
+  then: providerName,
+  description: "Firewall provider name(s); defaults to FIREWALL_PROVIDERS"
+};
+
+const blockTarget = {
+  type: "object",
+  description: `Exactly one of ${BLOCK_TARGET_FIELDS.join(", ")}`,
+  properties: {
+    ip: { type: "string", format: "ip", examples: ["203.0.113.42"] },
+    cidr: { type: "string", format: "ipv4-range", description: "IPv4 /16 or /24", examples: ["203.0.113.0/24"] },
+    ipv6: { type: "string", format: "ipv6-or-range", description: "Address or /32, /48, /64 range" },
+    asn: { type: ["string", "integer"], pattern: "^(AS|as)?\\d{1,10}$", minimum: 0, examples: ["AS13335"] },
+    country: { type: "string", pattern: "^[A-Za-z][A-Za-z0-9]$", description: "ISO 3166-1 alpha-2" },
+    provider
+  },
+  anyOf: BLOCK_TARGET_FIELDS.map(field => ({ required: [field] }))
+};
+
+const k8sName = description => ({ type: "string", format: "k8s-name", description: `${description}; DNS-1123 name` });
+
+const serviceName = k8sName("Kubernetes workload (see K8S_SERVICES)");
+
+const serviceTarget = (extra = {}, required = ["service"]) => ({
+  type: "object",
+  properties: { service: serviceName, ...extra },
+  required
+});
+
+const request = (target, { required = ["target"], properties = {} } = {}) => ({
+  type: "object",
+  properties: { ...common, ...properties, target },
+  required
+});
+
+/* ---------- per action ---------- */
+
+export const ACTION_SCHEMAS = {
+  block: request(blockTarget, {
+    properties: {
+      block: { type: "boolean", description: "true = temporary block whatever the severity" },
+      jira_ticket: {
+        type: "string",
+        pattern: "^[A-Z][A-Z0-9_]*-\\d+$",
+        description: "Existing ticket to resolve when the block expires"
+      }
+    }
+  }),
+
+  unblock: request(blockTarget),
+
+  list_blocked: request(
+    { type: "object", properties: { provider } },
+    { required: [] }
+  ),
+
+  restart: request(serviceTarget()),
+
+  scale: request(
+    serviceTarget({ replicas: { type: "integer", minimum: 0 } }, ["service", "replicas"])
+  ),
+
+  rollback: request(serviceTarget()),
+
+  drain: request({
+    type: "object",
+    properties: {
+      service: serviceName,
+      node: k8sName("Kubernetes node to cordon and drain")
+    },
+    anyOf: [{ required: ["service"] }, { required: ["node"] }]
+  }),
+
+  notify: request(
+    {
+      type: "object",
+      description: "Free-form; service / ip / node are shown in the notification",
+      properties: { service: { type: "string" }, ip: { type: "string" }, node: { type: "string" } }
+    },
+    { required: [] }
+  )
+};
+
+const validators = Object.fromEntries(
+  Object.entries(ACTION_SCHEMAS).map(([action, schema]) => [action, ajv.compile(schema)])
+);
+
+/* ---------- errors ---------- */
+
+const fieldOf = (instancePath, property) =>
+  [...instancePath.split("/").filter(Boolean), property].filter(Boolean).join(".") || "(body)";
+
+// anyOf of `required` branches reads as "must include one of: a, b";
+// a failed if/then is reported by the `then` error alone
+function toFieldErrors(errors) {
+  return errors
+    .filter(e => !e.schemaPath.includes("/anyOf/") && e.keyword !== "if")
+    .map(e => {
+      if (e.keyword === "required") {
+        return { field: fieldOf(e.instancePath, e.params.missingProperty), message: "is required" };
+      }
+      if (e.keyword === "anyOf") {
+        const fields = e.schema.flatMap(branch => branch.required || []);
+        return { field: fieldOf(e.instancePath), message: `must include one of: ${fields.join(", ")}` };
+      }
+      if (e.keyword === "enum") {
+        return { field: fieldOf(e.instancePath), message: `must be one of: ${e.params.allowedValues.join(", ")}` };
+      }
+      return { field: fieldOf(e.instancePath), message: e.message };
+    });
+}
+
+export function validateRemediation(action, request) {
+  const validate = Object.hasOwn(validators, action) ? validators[action] : null;
+  if (!validate || validate(request)) return null;
+  return toFieldErrors(validate.errors);
+}
+
+/* =========================
+   OPENAPI
+========================= */
+
+const { version } = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf8"));
+
+const errorResponse = description => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+});
+
+const jsonResponse = (description, schema = { type: "object" }) => ({
+  description,
+  content: { "application/json": { schema } }
+});
+
+// aliases: { raw action name → normalized action }, as normalizeAction uses
+export function openApiDocument(aliases) {
+  const aliasesOf = action => [
+    action,
+    ...Object.keys(aliases).filter(alias => aliases[alias] === action && alias !== action)
+  ];
+
+  const requestSchemas = Object.fromEntries(
+    Object.entries(ACTION_SCHEMAS).map(([action, schema]) => [
+      `${action}_request`,
+      {
+        ...schema,
+        properties: { action: { type: "string", enum: aliasesOf(action) }, ...schema.properties },
+        required: ["action", ...schema.required]
+      }
+    ])
+  );
+
+  const remediationBody = {
+    required: true,
+    content: {
+      "application/json": {
+        schema: {
+          oneOf: Object.keys(requestSchemas).map(name => ({ $ref: `#/components/schemas/${name}` })),
+          discriminator: {
+            propertyName: "action",
+            mapping: Object.fromEntries(
+              Object.keys(ACTION_SCHEMAS).flatMap(action =>
+                aliasesOf(action).map(alias => [alias, `#/components/schemas/${action}_request`])
+              )
+            )
+          }
+        }
+      }
+    }
+  };
+
+  // Echoed back in the X-Request-Id response header and as request_id
+  const requestIdHeader = {
+    name: "X-Request-Id",
+    in: "header",
+    description: "Correlation id (generated when absent)",
+    schema: { type: "string", pattern: "^[\\w.:-]{1,128}$" }
+  };
+
+  const remediationResponses = {
+    200: jsonResponse("Remediation result (status: success, partial, pending_approval, dry_run)"),
+    202: jsonResponse("Queued as a job (async)", { $ref: "#/components/schemas/JobAccepted" }),
+    400: errorResponse("Invalid request – `errors` lists the offending fields"),
+    401: errorResponse("Missing or invalid credentials"),
+    403: errorResponse("Caller lacks the action's scope, or policy denied it"),
+    500: errorResponse("An integration failed")
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "ThreatPilot Remediation API",
+      version,
+      description:
+        "Remediation actions for detection agents. `action` accepts the aliases listed " +
+        "in each request schema; responses always carry the normalized action."
+    },
+    security: [{ apiKey: [] }, { bearer: [] }, { hmac: [] }],
+    paths: {
+      "/": {
+        post: {
+          operationId: "remediate",
+          summary: "Run a remediation action",
+          parameters: [
+            { name: "dry_run", in: "query", schema: { type: "boolean" } },
+            { name: "async", in: "query", schema: { type: "boolean" } },
+            { name: "Idempotency-Key", in: "header", schema: { type: "string" } },
+            requestIdHeader
+          ],
+          requestBody: remediationBody,
+          responses: remediationResponses
+        }
+      },
+      "/jobs": {
+        post: {
+          operationId: "submitJob",
+          summary: "Queue a remediation action as a job",
+          parameters: [{ name: "dry_run", in: "query", schema: { type: "boolean" } }, requestIdHeader],
+          requestBody: remediationBody,
+          responses: { 202: remediationResponses[202], 400: remediationResponses[400], 401: remediationResponses[401] }
+        }
+      },
+      "/jobs/{id}": {
+        get: {
+          operationId: "getJob",
+          summary: "Job status and, once finished, its result",
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+          responses: { 200: jsonResponse("Job"), 404: errorResponse("Unknown job") }
+        }
+      },
+      "/health": {
+        get: { operationId: "health", security: [], responses: { 200: jsonResponse("Service is up") } }
+      },
+      "/ready": {
+        get: {
+          operationId: "ready",
+          security: [],
+          responses: {
+            200: jsonResponse("Every required integration is up"),
+            503: jsonResponse("A required integration is down or not configured")
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearer: { type: "http", scheme: "bearer" },
+        hmac: {
+          type: "apiKey",
+          in: "header",
+          name: "X-TP-Signature",
+          description: "sha256=<hex hmac(secret, \"<X-TP-Timestamp>.<raw body>\")> with X-TP-Key-Id and X-TP-Timestamp"
+        }
+      },
+      schemas: {
+        ...requestSchemas,
+        Error: {
+          type: "object",
+          properties: {
+            error: { type: "string" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: { field: { type: "string" }, message: { type: "string" } }
+              }
+            }
+          }
+        },
+        JobAccepted: {
+          type: "object",
+          properties: {
+            status: { const: "queued" },
+            action: { type: "string" },
+            job_id: { type: "string" },
+            status_url: { type: "string" }
+          }
+        }
+      }
+    }
+  };
+}
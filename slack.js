@@ -0,0 +1,231 @@
+import axios from "axios";
+import crypto from "crypto";
+import { resilient } from "./outbound.js";
+import { slackFailures } from "./metrics.js";
+import { log, correlationId } from "./logger.js";
+import { safeEqual } from "./util.js";
+
+/* =========================
+   ENV
+========================= */
+
+const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+
+const slack = resilient("slack", axios.create({
+  headers: { "Content-Type": "application/json" }
+}));
+
+// Signed requests older than this are treated as replays
+const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+/* =========================
+   MESSAGES
+========================= */
+
+export function slackAlertMessage(payload) {
+  return {
+    text: `🚨 *ThreatPilot Alert*
+*Action:* ${payload.action}
+*Severity:* ${payload.severity}
+*Issue:* ${payload.issue || "unknown"}
+*Target:* ${JSON.stringify(payload.target, null, 2)}${requestLine()}`
+  };
+}
+
+// Messages built while handling a request name it, so the alert can be
+// traced back to Cloudflare notes, Jira labels and the logs
+function requestLine() {
+  const requestId = correlationId();
+  return requestId ? `\n*Request ID:* \`${requestId}\`` : "";
+}
+
+function requestContext() {
+  const requestId = correlationId();
+  return requestId && { type: "context", elements: [{ type: "mrkdwn", text: `Request ID: \`${requestId}\`` }] };
+}
+
+const section = markdown => ({ type: "section", text: { type: "mrkdwn", text: markdown } });
+
+const fields = pairs => ({
+  type: "section",
+  fields: pairs
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => ({ type: "mrkdwn", text: `*${key}:*\n${value}` }))
+});
+
+const button = (text, actionId, value, style) => ({
+  type: "button",
+  text: { type: "plain_text", text },
+  action_id: actionId,
+  value: String(value),
+  ...(style && { style })
+});
+
+// Approve / Reject for an action waiting on Jira ticket `jiraKey`
+export function slackApprovalMessage({ action, target = {}, severity, issue, jiraKey, jiraUrl }) {
+  const subject = target.service || target.node;
+
+  return {
+    text: `ThreatPilot: ${action} of ${subject} needs approval (${jiraKey})`,
+    blocks: [
+      section(`🚨 *ThreatPilot: ${action.toUpperCase()} ${subject} needs approval*`),
+      fields([
+        ["Service", target.service],
+        ["Node", target.node],
+        ["Replicas", action === "scale" ? target.replicas : undefined],
+        ["Severity", severity],
+        ["Issue", issue || "unknown"],
+        ["Jira", jiraUrl ? `<${jiraUrl}|${jiraKey}>` : jiraKey]
+      ]),
+      {
+        type: "actions",
+        block_id: "threatpilot_approval",
+        elements: [
+          button("Approve", "approve", jiraKey, "primary"),
+          button("Reject", "reject", jiraKey, "danger")
+        ]
+      },
+      requestContext()
+    ].filter(Boolean)
+  };
+}
+
+// Temporary block notice with an Extend button
+export function slackBlockMessage({ value, targetType, severity, issue, unblockAt, extendMinutes, offense }) {
+  return {
+    text: `ThreatPilot blocked ${value} until ${unblockAt}`,
+    blocks: [
+      section(`⛔ *ThreatPilot blocked ${value}* until ${unblockAt}`),
+      fields([
+        ["Target type", targetType],
+        ["Severity", severity],
+        ["Issue", issue || "unknown"],
+        ["Offense", offense]
+      ]),
+      {
+        type: "actions",
+        block_id: "threatpilot_block",
+        elements: [button(`Extend block (+${extendMinutes}m)`, "extend_block", value)]
+      },
+      requestContext()
+    ].filter(Boolean)
+  };
+}
+
+// One message per tripped blast-radius limit (see limits.js)
+export function slackLimitMessage({ limit, key, action, caller, targetType, jiraKey, jiraUrl }) {
+  return {
+    text: `ThreatPilot blast-radius limit ${limit.name} exceeded – ${action} actions held for approval`,
+    blocks: [
+      section(`🛑 *ThreatPilot blast-radius limit exceeded: ${limit.name}*\nMatching actions are held until released or discarded.`),
+      fields([
+        ["Limit", `${limit.max} per ${limit.window}`],
+        ["Counter", key],
+        ["Action", action],
+        ["Caller", caller],
+        ["Target type", targetType],
+        ["Jira", jiraUrl ? `<${jiraUrl}|${jiraKey}>` : jiraKey]
+      ]),
+      { type: "context", elements: [{ type: "mrkdwn", text: "`POST /held-actions/release` or `/held-actions/discard`" }] },
+      requestContext()
+    ].filter(Boolean)
+  };
+}
+
+// Replaces the buttons of an interactive message with the decision
+// (keepActions leaves them, e.g. so a block can be extended again)
+export function slackDecisionMessage(original, { decidedBy, outcome, keepActions = false }) {
+  const blocks = (original?.blocks || []).filter(b => keepActions || b.type !== "actions");
+
+  return {
+    replace_original: true,
+    text: `${original?.text || "ThreatPilot"} – ${outcome}`,
+    blocks: [
+      ...blocks,
+      { type: "context", elements: [{ type: "mrkdwn", text: `${outcome} by *${decidedBy}*` }] }
+    ]
+  };
+}
+
+/* =========================
+   DELIVERY
+========================= */
+
+// Resolves with Slack's answer; throws only when none arrived.
+// kind labels the failure metric (alert, interactive, update).
+async function postJson(url, message, kind) {
+  try {
+    const res = await slack.post(url, message, { responseType: "text" });
+    return { ok: true, status: res.status, text: res.data };
+  } catch (e) {
+    slackFailures.inc({ kind });
+    if (!e.response) throw e;
+    return { ok: false, status: e.response.status, text: e.response.data };
+  }
+}
+
+export function slackConfigured() {
+  return Boolean(SLACK_WEBHOOK_URL);
+}
+
+// Throws when the alert was not delivered, so callers can report it
+export async function alertSRESlack(payload) {
+  if (!SLACK_WEBHOOK_URL) {
+    throw new Error("SLACK_WEBHOOK_URL not configured");
+  }
+
+  const { ok, status, text } = await postJson(SLACK_WEBHOOK_URL, slackAlertMessage(payload), "alert");
+
+  if (!ok) {
+    throw new Error(`Slack webhook failed: ${status} ${text}`);
+  }
+
+  log.info("Slack alert sent");
+}
+
+// Interactive messages are optional: without a webhook they are skipped.
+// Failures are logged, never thrown – the remediation already happened.
+export async function postSlackMessage(message) {
+  if (!SLACK_WEBHOOK_URL) return false;
+
+  try {
+    const { ok, status, text } = await postJson(SLACK_WEBHOOK_URL, message, "interactive");
+    if (!ok) log.error("Slack webhook failed", { status, response: text });
+    return ok;
+  } catch (e) {
+    log.error("Slack webhook failed", { error: e });
+    return false;
+  }
+}
+
+// Updates the message a button was clicked on (payload.response_url)
+export async function respondToSlack(responseUrl, message) {
+  try {
+    const { ok, status, text } = await postJson(responseUrl, message, "update");
+    if (!ok) log.error("Slack message update failed", { status, response: text });
+  } catch (e) {
+    log.error("Slack message update failed", { error: e });
+  }
+}
+
+/* =========================
+   REQUEST VERIFICATION
+========================= */
+
+// X-Slack-Signature: v0=<hmac of "v0:<timestamp>:<raw body>">
+export function verifySlackRequest({ rawBody, timestamp, signature }) {
+  if (!SLACK_SIGNING_SECRET || !timestamp || !signature) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE_SECONDS) return false;
+
+  const expected =
+    "v0=" +
+    crypto
+      .createHmac("sha256", SLACK_SIGNING_SECRET)
+      .update(`v0:${timestamp}:${rawBody || ""}`)
+      .digest("hex");
+
+  return safeEqual(signature, expected);
+}
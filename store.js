@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import { log } from "./logger.js";
+
+// ------------------------------------------------------------------
+// Durable JSON-file store
+// ------------------------------------------------------------------
+
+/*
+Each store is one JSON file under DATA_DIR holding a plain object:
+{
+  "<key>": { ...record }
+}
+Keys come from requests and webhooks, so records live in a
+prototype-less object: "constructor" or "__proto__" is just a missing key.
+Writes go to a temp file first and are renamed into place, so a crash
+mid-write never leaves a half-written file behind.
+*/
+
+export const DATA_DIR = process.env.DATA_DIR || path.resolve("data");
+
+function load(file) {
+  try {
+    return Object.assign(Object.create(null), JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      log.error("Could not read store", { file, error: e });
+    }
+    return Object.create(null);
+  }
+}
+
+export function createJsonStore(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const records = load(file);
+
+  function persist() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    get(key) {
+      return Object.hasOwn(records, key) ? records[key] : undefined;
+    },
+
+    set(key, value) {
+      records[key] = value;
+      persist();
+    },
+
+    delete(key) {
+      if (!Object.hasOwn(records, key)) return;
+      delete records[key];
+      persist();
+    },
+
+    entries() {
+      return Object.entries(records);
+    }
+  };
+}
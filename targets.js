@@ -0,0 +1,84 @@
+import net from "net";
+
+// ------------------------------------------------------------------
+// Block targets → Cloudflare access rule configuration
+// ------------------------------------------------------------------
+
+/*
+target.ip       IPv4 / IPv6 address        → ip / ip6
+target.cidr     IPv4 /16 or /24            → ip_range
+target.ipv6     IPv6 address or /32 /48 /64 → ip6 / ip_range
+target.asn      "AS13335" or 13335         → asn
+target.country  ISO 3166-1 alpha-2 ("CN")  → country
+
+Only one may be set. The prefix lengths are the ones Cloudflare accepts
+for IP access rules.
+*/
+
+export const BLOCK_TARGET_FIELDS = ["ip", "cidr", "ipv6", "asn", "country"];
+
+const IPV4_PREFIXES = [16, 24];
+const IPV6_PREFIXES = [32, 48, 64];
+
+export class TargetError extends Error {}
+
+function parsePrefix(value, family, allowed) {
+  const [address, prefix] = String(value).split("/");
+  const bits = Number(prefix);
+
+  if (net.isIP(address) !== family) {
+    throw new TargetError(`'${value}' is not an IPv${family} range`);
+  }
+  if (!allowed.includes(bits)) {
+    throw new TargetError(`IPv${family} ranges must be /${allowed.join(", /")} (got '${value}')`);
+  }
+
+  return { address, bits, value: `${address}/${bits}` };
+}
+
+// Returns { type, value } (type = Cloudflare configuration.target) or
+// null when the target has no block field. Throws TargetError when invalid.
+export function resolveBlockTarget(target = {}) {
+  const present = BLOCK_TARGET_FIELDS.filter(f => target[f] !== undefined && target[f] !== "");
+
+  if (present.length === 0) return null;
+  if (present.length > 1) {
+    throw new TargetError(`Only one block target allowed, got ${present.join(", ")}`);
+  }
+
+  const field = present[0];
+  const raw = String(target[field]).trim();
+
+  if (field === "ip") {
+    if (net.isIPv4(raw)) return { type: "ip", value: raw };
+    if (net.isIPv6(raw)) return { type: "ip6", value: raw };
+    throw new TargetError(`'${raw}' is not a valid IP address`);
+  }
+
+  if (field === "cidr") {
+    return { type: "ip_range", value: parsePrefix(raw, 4, IPV4_PREFIXES).value };
+  }
+
+  if (field === "ipv6") {
+    if (!raw.includes("/")) {
+      if (!net.isIPv6(raw)) throw new TargetError(`'${raw}' is not a valid IPv6 address`);
+      return { type: "ip6", value: raw };
+    }
+    return { type: "ip_range", value: parsePrefix(raw, 6, IPV6_PREFIXES).value };
+  }
+
+  if (field === "asn") {
+    const match = raw.toUpperCase().match(/^(?:AS)?(\d{1,10})$/);
+    if (!match || Number(match[1]) > 4294967295) {
+      throw new TargetError(`'${raw}' is not a valid ASN`);
+    }
+    return { type: "asn", value: `AS${Number(match[1])}` };
+  }
+
+  // country
+  const code = raw.toUpperCase();
+  if (!/^[A-Z][A-Z0-9]$/.test(code)) {
+    throw new TargetError(`'${raw}' is not a two-letter country code`);
+  }
+  return { type: "country", value: code };
+}
@@ -0,0 +1,33 @@
+import crypto from "crypto";
+import fs from "fs";
+import yaml from "js-yaml";
+
+// ------------------------------------------------------------------
+// Small helpers shared across modules
+// ------------------------------------------------------------------
+
+// <NAME> (JSON) or <NAME>_FILE (YAML, or JSON when it ends in .json).
+// The file wins when both are set; neither gives {}. Unreadable or
+// invalid config throws – callers load it at startup.
+export function loadConfig(name) {
+  const file = process.env[`${name}_FILE`];
+  if (file) {
+    const raw = fs.readFileSync(file, "utf8");
+    return (file.endsWith(".json") ? JSON.parse(raw) : yaml.load(raw)) || {};
+  }
+
+  const raw = process.env[name];
+  return raw ? JSON.parse(raw) || {} : {};
+}
+
+// Config match values: one value or a list, compared case-insensitively
+export function matchesAny(expected, actual) {
+  return [].concat(expected).some(e => String(e).toLowerCase() === String(actual ?? "").toLowerCase());
+}
+
+// Constant-time string comparison for secrets and signatures
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}